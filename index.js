@@ -2,6 +2,8 @@ import 'dotenv/config';
 import fs from 'fs';
 import fsp from 'fs/promises';
 import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
 import express from 'express';
 import boltPkg from '@slack/bolt';
 
@@ -19,9 +21,15 @@ const {
   SLACK_SIGNING_SECRET,     // optional in Socket Mode; kept for completeness
   WATCH_CHANNEL_ID,         // channel to watch (C#**** messages)
   FLOWBOT_USER_ID,          // optional: exact user ID for FlowBot (e.g., U01234567)
+  INVOICE_CHANNEL_ID,       // optional: channel where dropped invoice files (CSV/XLSX/PDF) start a review
   SHOPIFY_DOMAIN,           // e.g., mystore.myshopify.com
   SHOPIFY_ADMIN_TOKEN,      // Admin API access token
   SHOPIFY_API_VERSION = '2025-01',
+  SHOPIFY_MAX_IN_FLIGHT,    // optional: max concurrent Shopify requests (default 4)
+  SHOPIFY_BULK_CONCURRENCY, // optional: orders processed in parallel by bulk submit (default 3)
+  ORDER_NAME_PREFIX = 'C#', // Shopify order name prefix
+  ORDER_NUMBER_MIN_DIGITS,  // optional: shortest order number (default 4)
+  ORDER_NUMBER_MAX_DIGITS,  // optional: longest order number (default 6)
   PORT = 3000
 } = process.env;
 
@@ -34,55 +42,228 @@ if (!SHOPIFY_DOMAIN || !SHOPIFY_ADMIN_TOKEN) {
   process.exit(1);
 }
 
+/* =========================
+   Order names (prefix + number)
+========================= */
+// Shopify order names look like "C#1234"; prefix and number length come from the env so
+// C#10000 and beyond parse whole instead of as their first four digits.
+const ORDER_PREFIX = ORDER_NAME_PREFIX;
+const ORDER_MIN_DIGITS = Math.max(1, Number(ORDER_NUMBER_MIN_DIGITS) || 4);
+const ORDER_MAX_DIGITS = Math.max(ORDER_MIN_DIGITS, Number(ORDER_NUMBER_MAX_DIGITS) || 6);
+
+const __escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Prefixed number anywhere in text; digits not followed by more digits
+const ORDER_NAME_REGEX = new RegExp(`${__escapeRegExp(ORDER_PREFIX)}\\s?(\\d+)(?!\\d)`, 'gi');
+
+function orderName(digits) {
+  return `${ORDER_PREFIX}${digits}`;
+}
+
+function isOrderNumber(digits) {
+  return /^\d+$/.test(digits) && digits.length >= ORDER_MIN_DIGITS && digits.length <= ORDER_MAX_DIGITS;
+}
+
+// Number part of a Shopify order name ("C#1234" -> "1234"), or null for other shapes
+function orderNumberFromName(name) {
+  const s = String(name || '').trim();
+  if (!s.toLowerCase().startsWith(ORDER_PREFIX.toLowerCase())) return null;
+  const digits = s.slice(ORDER_PREFIX.length).trim();
+  return isOrderNumber(digits) ? digits : null;
+}
+
+// Every prefixed order number in free text (FlowBot messages)
+function findOrderNumbers(text) {
+  return Array.from(String(text || '').matchAll(ORDER_NAME_REGEX), m => m[1]).filter(isOrderNumber);
+}
+
+// One order from a line: "C#1234" anywhere in it, or the line is just the number ("1234", "#1234").
+// -> { digits } or { reason } explaining why the line was ignored
+function parseOrderLine(line) {
+  const s = String(line || '').trim();
+  const prefixed = Array.from(s.matchAll(ORDER_NAME_REGEX), m => m[1]);
+  const bare = s.match(/^#?\s*(\d+)$/);
+  const candidates = prefixed.length ? prefixed : (bare ? [bare[1]] : []);
+
+  if (!candidates.length) {
+    return { reason: /\d/.test(s) ? `no ${ORDER_PREFIX} order number (numbers inside other text need the prefix)` : 'no order number' };
+  }
+  if (new Set(candidates).size > 1) return { reason: 'more than one order number on the line' };
+  if (!isOrderNumber(candidates[0])) {
+    return { reason: `${candidates[0].length} digits (expected ${ORDER_MIN_DIGITS}–${ORDER_MAX_DIGITS})` };
+  }
+  return { digits: candidates[0] };
+}
+
+// Pasted list -> unique order numbers (input order) + the lines that were ignored and why
+function parseOrderLines(raw) {
+  const digits = [];
+  const ignored = [];
+  for (const line of String(raw || '').split(/\r?\n/).map(s => s.trim()).filter(Boolean)) {
+    const r = parseOrderLine(line);
+    if (r.digits && digits.includes(r.digits)) {
+      ignored.push({ line, reason: 'duplicate' });
+    } else if (r.digits) {
+      digits.push(r.digits);
+    } else {
+      ignored.push({ line, reason: r.reason });
+    }
+  }
+  return { digits, ignored };
+}
+
+// Slash-command argument: "C#1234 ..." or "1234 ..." -> { digits, rest } or null
+function parseOrderArgument(text) {
+  const s = String(text || '').trim();
+  const m = s.match(new RegExp(`^(?:${__escapeRegExp(ORDER_PREFIX)}|#)?\\s*(\\d+)(?!\\d)\\s*([\\s\\S]*)$`, 'i'));
+  if (!m || !isOrderNumber(m[1])) return null;
+  return { digits: m[1], rest: m[2].trim() };
+}
+
 /* =========================
    Data Store (./data)
 ========================= */
 const DATA_DIR = path.resolve('./data');
 const ORDERS_DIR = path.join(DATA_DIR, 'orders');
+const REVERTS_DIR = path.join(DATA_DIR, 'reverts'); // before/after state per invoice submission
+const JOBS_DIR = path.join(DATA_DIR, 'jobs'); // durable bulk-submission jobs with per-order checkpoints
+const INVOICES_DIR = path.join(DATA_DIR, 'invoices'); // one record per /invoice-review (submissions + order status)
+const APPLICATIONS_FILE = path.join(DATA_DIR, 'invoice_applications.json'); // supplier+date+order -> applied
+const INVOICE_NUMBERS_FILE = path.join(DATA_DIR, 'invoice_numbers.json'); // supplier+invoice number -> first review
+const AUDIT_LOG_FILE = path.join(DATA_DIR, 'audit.jsonl'); // append-only, one line per field change
+
+// Supplier profiles: data/suppliers.json (kept across deploys), managed with /suppliers.
+// The repo's suppliers.json next to index.js is only the first-run seed.
+// A profile ties together every spelling of one supplier:
+//   { id, name, aliases: [], tag: "PartsSupplier_<x>", arrangedWith: "<custom._nc_arranged_with token>" }
+// Plain strings (the original format) are upgraded on read.
+const SUPPLIERS_SEED_FILE = path.join(__DIRNAME, 'suppliers.json');
+const SUPPLIERS_FILE = path.join(DATA_DIR, 'suppliers.json');
+const MAX_SUPPLIERS = 100; // Slack static_select option limit
+const SUPPLIER_TAG_PREFIX = 'PartsSupplier_';
+
+// Comparison key: case, spaces and punctuation don't matter ("BoSpeed" === "Bo-speed")
+function supplierKey(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function supplierTagName(value) {
+  const v = String(value || '').trim();
+  return v.startsWith(SUPPLIER_TAG_PREFIX) ? v : `${SUPPLIER_TAG_PREFIX}${v}`;
+}
+
+function normalizeSupplierProfile(entry) {
+  const raw = typeof entry === 'string' ? { name: entry } : (entry || {});
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) return null;
+  const aliases = Array.isArray(raw.aliases)
+    ? Array.from(new Set(raw.aliases.map(a => String(a || '').trim()).filter(Boolean)))
+    : [];
+  return {
+    id: supplierKey(raw.id) || supplierKey(name),
+    name,
+    aliases,
+    tag: supplierTagName(raw.tag || name.replace(/\s+/g, '')),
+    arrangedWith: String(raw.arrangedWith || name).trim()
+  };
+}
+
+// Every spelling that identifies this profile, as comparison keys
+function supplierProfileKeys(profile) {
+  return Array.from(new Set([
+    profile.id,
+    profile.name,
+    ...profile.aliases,
+    profile.arrangedWith,
+    profile.tag,
+    profile.tag.slice(SUPPLIER_TAG_PREFIX.length)
+  ].map(supplierKey).filter(Boolean)));
+}
+
+function supplierMatches(profile, text) {
+  const k = supplierKey(text);
+  return Boolean(k) && supplierProfileKeys(profile).includes(k);
+}
+
+function findSupplierProfile(profiles, text) {
+  return (profiles || []).find(p => supplierMatches(p, text)) || null;
+}
 
-// Suppliers list (editable JSON file, lives NEXT TO index.js)
-const SUPPLIERS_FILE = path.join(__DIRNAME, 'suppliers.json');
+// Valid profiles only; a profile whose spellings collide with an earlier one is dropped
+function normalizeSupplierProfiles(list) {
+  if (!Array.isArray(list)) return [];
+  const out = [];
+  for (const entry of list) {
+    const profile = normalizeSupplierProfile(entry);
+    if (!profile) continue;
+    if (out.some(p => supplierProfileKeys(profile).some(k => supplierProfileKeys(p).includes(k)))) {
+      console.error(`[suppliers] skipping "${profile.name}": it collides with another supplier`);
+      continue;
+    }
+    out.push(profile);
+  }
+  return out;
+}
 
 async function ensureSuppliersFile() {
   try {
     await fsp.access(SUPPLIERS_FILE, fs.constants.F_OK);
   } catch {
-    const defaultSuppliers = [
-      "OHC",
-      "Bospeed",
-      "Acme Parts",
-      "Contoso Components"
-    ];
-    await fsp.writeFile(SUPPLIERS_FILE, JSON.stringify(defaultSuppliers, null, 2), 'utf8');
-    console.log(`[init] Created ${SUPPLIERS_FILE} with default suppliers`);
+    const seed = normalizeSupplierProfiles(await readJsonSafe(SUPPLIERS_SEED_FILE, []));
+    await writeJsonAtomic(SUPPLIERS_FILE, seed);
+    console.log(`[init] Created ${SUPPLIERS_FILE} with ${seed.length} supplier(s) from ${SUPPLIERS_SEED_FILE}`);
   }
 }
 
-async function loadSuppliers() {
+// Read on every call so /suppliers changes show up in the next modal
+async function loadSupplierProfiles() {
   try {
     const txt = await fsp.readFile(SUPPLIERS_FILE, 'utf8');
-    const list = JSON.parse(txt);
-    if (Array.isArray(list)) {
-      // normalize to non-empty trimmed strings, dedup, and cap at Slack's option limit (100)
-      const normalized = Array.from(
-        new Set(
-          list
-            .map(s => (typeof s === 'string' ? s.trim() : ''))
-            .filter(Boolean)
-        )
-      );
-      return normalized.slice(0, 100);
-    }
-    return [];
+    return normalizeSupplierProfiles(JSON.parse(txt)).slice(0, MAX_SUPPLIERS);
   } catch (e) {
     console.error(`[suppliers] failed to load ${SUPPLIERS_FILE}:`, e?.message || e);
     return [];
   }
 }
 
+// Display names for the supplier dropdown
+async function loadSuppliers() {
+  return (await loadSupplierProfiles()).map(p => p.name);
+}
+
+// Read-modify-write under one lock; `fn(profiles)` returns the new list (or throws to abort).
+// Refuses a list where two suppliers share a spelling (name, alias, tag or arranged-with value).
+function updateSuppliers(fn) {
+  return withKeyLock('suppliers', async () => {
+    const current = normalizeSupplierProfiles(await readJsonSafe(SUPPLIERS_FILE, []));
+    const next = (await fn(current)).map(normalizeSupplierProfile).filter(Boolean);
+    for (let i = 0; i < next.length; i++) {
+      for (let j = 0; j < i; j++) {
+        const shared = supplierProfileKeys(next[i]).find(k => supplierProfileKeys(next[j]).includes(k));
+        if (shared) throw new Error(`"${next[i].name}" and "${next[j].name}" would both match "${shared}".`);
+      }
+    }
+    await writeJsonAtomic(SUPPLIERS_FILE, next);
+    return next;
+  });
+}
+
+// Supplier names from PartsSupplier_ tags (profile name when the tag is known)
+function partsSuppliersFromTags(tags, profiles = []) {
+  return (tags || [])
+    .filter(t => t.startsWith(SUPPLIER_TAG_PREFIX))
+    .map(t => {
+      const known = (profiles || []).find(p => supplierKey(p.tag) === supplierKey(t));
+      return known ? known.name : t.substring(SUPPLIER_TAG_PREFIX.length);
+    })
+    .filter(Boolean);
+}
+
 async function ensureDirs() {
   await fsp.mkdir(DATA_DIR, { recursive: true });
   await fsp.mkdir(ORDERS_DIR, { recursive: true });
+  await fsp.mkdir(REVERTS_DIR, { recursive: true });
+  await fsp.mkdir(JOBS_DIR, { recursive: true });
+  await fsp.mkdir(INVOICES_DIR, { recursive: true });
 }
 
 // Atomic JSON write
@@ -102,6 +283,633 @@ async function readJsonSafe(filePath, fallback = null) {
   }
 }
 
+// Run fn() after every earlier call with the same key has settled (per-file write ordering)
+const __keyLocks = new Map();
+function withKeyLock(key, fn) {
+  const prev = __keyLocks.get(key) || Promise.resolve();
+  const next = prev.catch(() => {}).then(fn);
+  __keyLocks.set(key, next);
+  next.finally(() => {
+    if (__keyLocks.get(key) === next) __keyLocks.delete(key);
+  }).catch(() => {});
+  return next;
+}
+
+/* =========================
+   Order snapshots (versioned per order)
+========================= */
+// data/orders/<digits>.json = { order_digits, order_id, latest, versions: [...] }
+// Older files held a single snapshot; they become version 1 on the next save.
+
+function orderSnapshotPath(digits) {
+  return path.join(ORDERS_DIR, `${path.basename(String(digits))}.json`);
+}
+
+function normalizeOrderHistory(raw, digits) {
+  if (!raw) return { order_digits: digits, order_id: null, latest: null, versions: [] };
+  if (Array.isArray(raw.versions)) return raw;
+  // Legacy single-snapshot file
+  const legacy = { version: 1, source: 'legacy', saved_by: null, invoice: null, ...raw };
+  return { order_digits: digits, order_id: raw.order_id ?? null, latest: legacy, versions: [legacy] };
+}
+
+async function readOrderHistory(digits) {
+  return normalizeOrderHistory(await readJsonSafe(orderSnapshotPath(digits)), String(digits));
+}
+
+// snapshot: { order_id, parts, fulfillment, payment, who_contacts, saved_by, source, invoice, channel, thread_ts }
+function appendOrderSnapshot(digits, snapshot) {
+  const key = String(digits);
+  return withKeyLock(`snapshot:${key}`, async () => {
+    await ensureDirs();
+    const history = await readOrderHistory(key);
+    const version = {
+      version: history.versions.length + 1,
+      saved_at: new Date().toISOString(),
+      order_digits: key,
+      ...snapshot
+    };
+    history.versions.push(version);
+    history.latest = version;
+    history.order_id = snapshot.order_id ?? history.order_id;
+    await writeJsonAtomic(orderSnapshotPath(key), history);
+    return version;
+  });
+}
+
+/* =========================
+   Invoice dates
+========================= */
+// Accepts "10-23", "10/23", "8.6", "10-23-25", "10/23/2025", "2025-10-23", "Oct 23", "23 Oct 2025", "October 23, 2025".
+// Without a year: the current year, or last year when that date would be more than 31 days ahead
+// (a January review of a December invoice). Returns { iso: "2025-10-23", display: "10-23" } or null.
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+function parseInvoiceDate(text, now = new Date()) {
+  const s = String(text || '').trim().toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ');
+  if (!s) return null;
+
+  let y = null;
+  let m = null;
+  let d = null;
+  let match;
+  // "oct", "sept", "october" (3+ letters of a month name)
+  const monthOf = (word) => {
+    const i = word.length >= 3 ? MONTH_NAMES.findIndex(n => n.startsWith(word)) : -1;
+    return i === -1 ? null : i + 1;
+  };
+
+  if ((match = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+    [y, m, d] = [match[1], match[2], match[3]].map(Number);
+  } else if ((match = s.match(/^(\d{1,2})[-/.](\d{1,2})(?:[-/.](\d{2}|\d{4}))?$/))) {
+    [m, d] = [Number(match[1]), Number(match[2])];
+    if (match[3]) y = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+  } else if ((match = s.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/))) {
+    [m, d, y] = [monthOf(match[1]), Number(match[2]), match[3] ? Number(match[3]) : null];
+  } else if ((match = s.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?(?: (\d{4}))?$/))) {
+    [d, m, y] = [Number(match[1]), monthOf(match[2]), match[3] ? Number(match[3]) : null];
+  } else {
+    return null;
+  }
+  if (!m || !d) return null;
+
+  if (y == null) {
+    y = now.getFullYear();
+    const candidate = Date.UTC(y, m - 1, d);
+    const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+    if (candidate - today > 31 * 24 * 3600 * 1000) y -= 1;
+  }
+
+  // Reject impossible dates (Feb 30, month 13, ...)
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+
+  return { iso: date.toISOString().slice(0, 10), display: formatInvoiceDate(date.toISOString().slice(0, 10)) };
+}
+
+// "2025-10-23" -> "10-23" (the short form used in invoice labels and order notes)
+function formatInvoiceDate(iso) {
+  const [, m, d] = String(iso).split('-').map(Number);
+  return `${m}-${d}`;
+}
+
+/* =========================
+   Invoice files (CSV / XLSX / text PDF)
+========================= */
+// A supplier invoice dropped in INVOICE_CHANNEL_ID, or attached in the /invoice-review modal, is read
+// into text rows and scanned for order references, the invoice date and the supplier.
+// No extra packages: XLSX is a zip of XML (inflated with zlib), and PDFs only yield text when they
+// have a text layer in simple fonts — scanned invoices come back empty.
+const INVOICE_FILE_MAX_BYTES = 10 * 1024 * 1024;
+const INVOICE_FILE_MAX_INFLATED_BYTES = 50 * 1024 * 1024; // per compressed zip entry / PDF stream
+const INVOICE_FILE_TYPES = ['csv', 'tsv', 'txt', 'xlsx', 'pdf'];
+
+function invoiceFileKind(file) {
+  const ext = String(file?.name || '').toLowerCase().split('.').pop();
+  const type = String(file?.filetype || '').toLowerCase();
+  if (type === 'xlsx' || ext === 'xlsx') return 'xlsx';
+  if (type === 'pdf' || ext === 'pdf') return 'pdf';
+  if (type === 'tsv' || ext === 'tsv') return 'tsv';
+  if (['csv', 'text'].includes(type) || ['csv', 'txt'].includes(ext)) return 'csv';
+  return null;
+}
+
+// Modal file_input state and message file objects can arrive without download URLs
+async function downloadSlackFile(client, file) {
+  const info = (file.url_private_download || file.url_private) ? file : (await client.files.info({ file: file.id })).file;
+  if (info.size > INVOICE_FILE_MAX_BYTES) throw new Error(`${info.name} is larger than ${INVOICE_FILE_MAX_BYTES / 1024 / 1024} MB`);
+  const res = await fetch(info.url_private_download || info.url_private, {
+    headers: { Authorization: `Bearer ${SLACK_BOT_TOKEN}` }
+  });
+  if (!res.ok) throw new Error(`Downloading ${info.name || info.id} failed: HTTP ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+// Quoted fields may hold delimiters, doubled quotes and newlines
+function parseDelimitedRows(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && !field.trim()) {
+      quoted = true;
+      field = '';
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.map(r => r.map(c => c.trim())).filter(r => r.some(Boolean));
+}
+
+function decodeXmlText(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+    const lower = e.toLowerCase();
+    if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+    if (lower.startsWith('#')) return String.fromCodePoint(Number(lower.slice(1)));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower];
+  });
+}
+
+// zlib.inflateSync / inflateRawSync capped at INVOICE_FILE_MAX_INFLATED_BYTES; going over throws a
+// message fit to show the user, other zlib errors are rethrown as they are
+function inflateInvoiceData(inflate, data, options = {}) {
+  try {
+    return inflate(data, { ...options, maxOutputLength: INVOICE_FILE_MAX_INFLATED_BYTES });
+  } catch (e) {
+    if (e?.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`a compressed part of the file unpacks to more than ${INVOICE_FILE_MAX_INFLATED_BYTES / 1024 / 1024} MB`);
+    }
+    throw e;
+  }
+}
+
+// Zip central directory -> { entryName: Buffer } for the entries `wanted` accepts (stored or deflated)
+function readZipEntries(buf, wanted) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('not a zip archive');
+  const entries = {};
+  let p = buf.readUInt32LE(eocd + 16);
+  for (let n = buf.readUInt16LE(eocd + 10); n > 0; n--) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error('corrupt zip directory');
+    const method = buf.readUInt16LE(p + 10);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const nameLength = buf.readUInt16LE(p + 28);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLength);
+    if (wanted(name)) {
+      const local = buf.readUInt32LE(p + 42);
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      const data = buf.subarray(start, start + compressedSize);
+      entries[name] = method === 8 ? inflateInvoiceData(zlib.inflateRawSync, data) : data;
+    }
+    p += 46 + nameLength + buf.readUInt16LE(p + 30) + buf.readUInt16LE(p + 32);
+  }
+  return entries;
+}
+
+// First worksheet as rows of cell strings (shared strings resolved, dates left as serial numbers)
+function extractXlsxRows(buf) {
+  const entries = readZipEntries(buf, n => n === 'xl/sharedStrings.xml' || /^xl\/worksheets\/sheet\d+\.xml$/.test(n));
+  const runText = (xml) => Array.from(xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g), m => decodeXmlText(m[1])).join('');
+  const shared = Array.from(
+    (entries['xl/sharedStrings.xml']?.toString('utf8') || '').matchAll(/<si>([\s\S]*?)<\/si>/g),
+    m => runText(m[1])
+  );
+  const sheetNumber = (n) => Number(n.match(/sheet(\d+)\.xml$/)[1]);
+  const sheet = Object.keys(entries).filter(n => n.startsWith('xl/worksheets/')).sort((a, b) => sheetNumber(a) - sheetNumber(b))[0];
+  if (!sheet) throw new Error('no worksheet in the workbook');
+
+  const columnIndex = (letters) => [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+  const rows = [];
+  for (const r of entries[sheet].toString('utf8').matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+    const cells = [];
+    for (const c of r[1].matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = c[1].match(/\br="([A-Z]+)\d+"/);
+      const type = c[1].match(/\bt="(\w+)"/)?.[1];
+      const body = c[2] || '';
+      const v = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value = '';
+      if (type === 's') value = shared[Number(v)] ?? '';
+      else if (type === 'inlineStr') value = runText(body);
+      else if (v != null) value = decodeXmlText(v);
+      cells[ref ? columnIndex(ref[1]) : cells.length] = value.trim();
+    }
+    rows.push(Array.from(cells, c => c || ''));
+  }
+  return rows.filter(r => r.some(Boolean));
+}
+
+// PDF string operand -> text: literal "(...)" with escapes, or hex "<...>" (UTF-16BE when it has a BOM or leading zero bytes)
+function decodePdfString(tok) {
+  if (tok.startsWith('<')) {
+    const hex = tok.slice(1, -1).replace(/\s+/g, '');
+    const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+    if (bytes.length % 2 === 0 && (bytes[0] === 0xfe || bytes[0] === 0x00)) {
+      return Buffer.from(bytes.subarray(bytes[0] === 0xfe ? 2 : 0)).swap16().toString('utf16le');
+    }
+    return bytes.toString('latin1');
+  }
+  return tok.slice(1, -1).replace(/\\(\r\n|\n|\r|[0-7]{1,3}|.)/g, (m, e) => {
+    if (/^[0-7]+$/.test(e)) return String.fromCharCode(parseInt(e, 8));
+    if (e.startsWith('\n') || e.startsWith('\r')) return '';
+    return { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' }[e] ?? e;
+  });
+}
+
+// Text-showing operators of one content stream, split into lines on vertical moves
+function pdfContentLines(content) {
+  const lines = [];
+  let line = '';
+  let gap = false;
+  let lastY = null;
+  const flush = () => {
+    if (line.trim()) lines.push(line.replace(/\s+/g, ' ').trim());
+    line = '';
+    gap = false;
+  };
+  const append = (text) => {
+    if (gap && line && text) line += ' ';
+    line += text;
+    gap = false;
+  };
+
+  const operands = [];
+  const re = /\((?:\\[\s\S]|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/[\]()<>]+|[A-Za-z'"*]+/g;
+  for (const [tok] of content.matchAll(re)) {
+    if (!/^[A-Za-z'"*]+$/.test(tok)) {
+      operands.push(tok);
+      continue;
+    }
+    const nums = operands.filter(o => /^-?\d*\.?\d+$/.test(o)).map(Number);
+    const strings = operands.filter(o => o.startsWith('(') || (o.startsWith('<') && o !== '<'));
+    if (tok === 'Tj' || tok === 'TJ' || tok === "'" || tok === '"') {
+      if (tok === "'" || tok === '"') flush();
+      if (tok === 'TJ') {
+        // Large negative kerning between strings is a word gap
+        for (const o of operands) {
+          if (o.startsWith('(') || o.startsWith('<')) append(decodePdfString(o));
+          else if (/^-?\d*\.?\d+$/.test(o) && Number(o) < -200) gap = true;
+        }
+      } else if (strings.length) {
+        append(decodePdfString(strings[strings.length - 1]));
+      }
+    } else if (tok === 'Td' || tok === 'TD') {
+      if (nums.length >= 2 && nums[nums.length - 1] !== 0) flush();
+      else gap = true;
+    } else if (tok === 'Tm') {
+      const y = nums.length >= 6 ? nums[nums.length - 1] : null;
+      if (y !== lastY) flush();
+      else gap = true;
+      lastY = y;
+    } else if (tok === 'T*') {
+      flush();
+    }
+    operands.length = 0;
+  }
+  flush();
+  return lines;
+}
+
+function extractPdfLines(buf) {
+  const raw = buf.toString('latin1');
+  const lines = [];
+  for (const m of raw.matchAll(/>>\s*stream\r?\n/g)) {
+    const start = m.index + m[0].length;
+    const dict = raw.slice(raw.lastIndexOf(' obj', m.index), m.index);
+    if (/\/Subtype\s*\/Image/.test(dict)) continue;
+    // A direct length only; an indirect one ("/Length 12 0 R") falls back to endstream
+    const declared = dict.match(/\/Length\s+(\d+)(?=\s*(?:[/>]|$))/);
+    const end = declared ? start + Number(declared[1]) : raw.indexOf('endstream', start);
+    if (end < start) continue;
+    let data = buf.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try {
+        data = inflateInvoiceData(zlib.inflateSync, data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      } catch (e) {
+        if (e?.code !== undefined && String(e.code).startsWith('Z_')) continue; // damaged stream, skip it
+        throw e;
+      }
+    } else if (/\/Filter/.test(dict)) {
+      continue; // images / other encodings never hold page text
+    }
+    const content = data.toString('latin1');
+    if (/\bBT\b/.test(content)) lines.push(...pdfContentLines(content));
+  }
+  return lines;
+}
+
+// A whole header cell naming the order column ("Order", "Ref #", "PO Number"), not "Order Date"
+const INVOICE_ORDER_HEADER_RE = /^\s*(?:order|ref|reference|po|p\.o\.|customer\s*ref)\s*(?:no\.?|number|#|id)?\s*:?\s*$/i;
+const INVOICE_ORDER_LABEL_RE = /\b(?:order|ref|reference|po|p\.o\.)\s*(?:no\.?|number|#)?\s*[:#]?\s*(\d+)(?!\d)/i;
+const INVOICE_DATE_RE = /\b(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}|[A-Za-z]{3,9}\.? \d{1,2}(?:st|nd|rd|th)?,? \d{4}|\d{1,2}(?:st|nd|rd|th)? [A-Za-z]{3,9}\.?,? \d{4})\b/g;
+
+// Excel stores dates as days since 1899-12-30
+function excelSerialToIso(value) {
+  const n = Number(value);
+  if (!/^\d{5}(\.\d+)?$/.test(String(value)) || n < 30000 || n > 80000) return null;
+  return new Date(Date.UTC(1899, 11, 30) + Math.floor(n) * 86400000).toISOString().slice(0, 10);
+}
+
+// The invoice date: first date on an "Invoice date" line, else on any other "date" line that isn't a due/ship date
+function findInvoiceFileDate(lines, now) {
+  const labelled = [
+    lines.filter(l => /invoice\s*date|date\s*of\s*invoice|inv\.?\s*date/i.test(l)),
+    lines.filter(l => /\bdate\b/i.test(l) && !/\b(due|ship|shipped|delivery|order)\s*date\b/i.test(l))
+  ];
+  for (const group of labelled) {
+    for (const line of group) {
+      for (const [candidate] of line.matchAll(INVOICE_DATE_RE)) {
+        const parsed = parseInvoiceDate(candidate, now);
+        if (parsed) return parsed;
+      }
+    }
+  }
+  return null;
+}
+
+// "Invoice No: INV-10482", "Invoice #10482", "Inv. Number 10482" -> "INV-10482" / "10482"
+const INVOICE_NUMBER_RE = /\binv(?:oice)?\.?\s*(?:no\.?|number|num|#)\s*[:#.]?\s*([A-Za-z0-9][A-Za-z0-9\-/]{0,30})/i;
+
+function findInvoiceFileNumber(lines) {
+  for (const line of lines) {
+    const m = line.match(INVOICE_NUMBER_RE);
+    if (m && /\d/.test(m[1])) return m[1];
+  }
+  return null;
+}
+
+// Letterhead first: the file name, then the lines top-down; aliases shorter than 3 characters never match
+function findInvoiceFileSupplier(texts, supplierProfiles) {
+  const candidates = supplierProfiles.map(p => ({ profile: p, keys: supplierProfileKeys(p).filter(k => k.length >= 3) }));
+  for (const text of texts) {
+    const key = supplierKey(text);
+    const hit = candidates.find(c => c.keys.some(k => key.includes(k)));
+    if (hit) return hit.profile.name;
+  }
+  return null;
+}
+
+// Spreadsheet rows or PDF lines -> { digits, ignored: [{ line, reason }], date, supplier, number }.
+// A spreadsheet with an order/reference column is read by that column (bare numbers allowed);
+// otherwise any prefixed order number counts, plus numbers after an "Order"/"Ref"/"PO" label.
+// Lines that clearly reference an order but yield no valid number are reported as ignored.
+function scanInvoiceFile({ rows, fileName }, supplierProfiles, now = new Date()) {
+  const digits = [];
+  const ignored = [];
+  const add = (d) => { if (!digits.includes(d)) digits.push(d); };
+
+  // Every prefixed number in `text` is taken (a line may list several orders); the wrong-length
+  // ones are reported. -> whether there were any
+  const addPrefixed = (text, line) => {
+    const prefixed = Array.from(String(text || '').matchAll(ORDER_NAME_REGEX), m => m[1]);
+    prefixed.filter(isOrderNumber).forEach(add);
+    const bad = prefixed.find(d => !isOrderNumber(d));
+    if (bad) ignored.push({ line, reason: `${orderName(bad)} has ${bad.length} digits (expected ${ORDER_MIN_DIGITS}–${ORDER_MAX_DIGITS})` });
+    return prefixed.length > 0;
+  };
+
+  // Column mode only for spreadsheet rows; PDF lines are single cells
+  const headerIndex = rows.findIndex(r => r.length > 1 && r.some(c => INVOICE_ORDER_HEADER_RE.test(c)));
+  const orderColumn = headerIndex === -1 ? -1 : rows[headerIndex].findIndex(c => INVOICE_ORDER_HEADER_RE.test(c));
+
+  rows.forEach((row, i) => {
+    const line = row.filter(Boolean).join(' | ').replace(/\s+/g, ' ');
+    if (i === headerIndex) return;
+    if (i > headerIndex && orderColumn !== -1 && row.length > 1 && row[orderColumn]) {
+      if (!addPrefixed(row[orderColumn], line)) {
+        const r = parseOrderLine(row[orderColumn]);
+        if (r.digits) add(r.digits);
+        else ignored.push({ line, reason: r.reason });
+      }
+      findOrderNumbers(row.filter((c, j) => j !== orderColumn).join(' ')).forEach(add);
+      return;
+    }
+
+    if (addPrefixed(line, line)) return;
+
+    const labelled = line.match(INVOICE_ORDER_LABEL_RE);
+    if (labelled && isOrderNumber(labelled[1])) add(labelled[1]);
+    else if (labelled) ignored.push({ line, reason: `${labelled[1].length} digits (expected ${ORDER_MIN_DIGITS}–${ORDER_MAX_DIGITS})` });
+  });
+
+  // Spreadsheet dates sit in the cell after their label, often as an Excel serial number
+  const dateLines = rows.map(row => row.map((c, j) => {
+    const iso = /date/i.test(row[j - 1] || '') ? excelSerialToIso(c) : null;
+    return iso || c;
+  }).join('  '));
+
+  return {
+    digits,
+    ignored,
+    date: findInvoiceFileDate(dateLines, now),
+    number: findInvoiceFileNumber(rows.map(r => r.join(' '))),
+    supplier: findInvoiceFileSupplier([fileName || '', ...rows.map(r => r.join(' '))], supplierProfiles)
+  };
+}
+
+// Download + extract + scan one Slack file. Throws with a message fit to show the user.
+async function readInvoiceFile(client, file, supplierProfiles) {
+  const kind = invoiceFileKind(file);
+  if (!kind) throw new Error(`${file.name || 'That file'} isn't a CSV, XLSX or PDF invoice`);
+  const buf = await downloadSlackFile(client, file);
+
+  let rows;
+  if (kind === 'xlsx') {
+    rows = extractXlsxRows(buf);
+  } else if (kind === 'pdf') {
+    rows = extractPdfLines(buf).map(l => [l]);
+  } else {
+    const text = buf.toString('utf8').replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const tabs = kind === 'tsv' || (firstLine.includes('\t') && !firstLine.includes(','));
+    rows = parseDelimitedRows(text, tabs ? '\t' : ',');
+  }
+  if (!rows.length) {
+    throw new Error(kind === 'pdf'
+      ? `No text found in ${file.name} (scanned PDFs have no text layer)`
+      : `${file.name} is empty`);
+  }
+  return { file: { id: file.id, name: file.name || file.id }, kind, ...scanInvoiceFile({ rows, fileName: file.name }, supplierProfiles) };
+}
+
+// Channel drops are parsed once and kept until someone opens the review (or for 2h)
+const __invoiceFileScans = new Map(); // scanId -> scan
+const __INVOICE_FILE_SCAN_TTL_MS = 2 * 60 * 60 * 1000;
+
+function storeInvoiceFileScan(scan) {
+  const now = Date.now();
+  for (const [id, s] of __invoiceFileScans) {
+    if (now - s.createdAt > __INVOICE_FILE_SCAN_TTL_MS) __invoiceFileScans.delete(id);
+  }
+  const id = `fs_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  __invoiceFileScans.set(id, { ...scan, id, createdAt: now });
+  return id;
+}
+
+// Short mrkdwn summary of a scan: what was found and the lines that couldn't be matched
+function describeInvoiceFileScan(scan, maxIgnored = 10) {
+  const lines = [
+    `📎 *${scan.file.name}*: ${scan.digits.length} order(s)` +
+      ` • date ${scan.date ? scan.date.iso : '_not found_'}` +
+      ` • supplier ${scan.supplier || '_not found_'}` +
+      (scan.number ? ` • invoice #${scan.number}` : '')
+  ];
+  if (scan.ignored.length) {
+    lines.push(`Couldn't match ${scan.ignored.length} line(s):`);
+    lines.push(...scan.ignored.slice(0, maxIgnored).map(i => `• \`${i.line.slice(0, 80).replace(/`/g, "'")}\` — ${i.reason}`));
+    if (scan.ignored.length > maxIgnored) lines.push(`…and ${scan.ignored.length - maxIgnored} more`);
+  }
+  return lines.join('\n');
+}
+
+/* =========================
+   Invoice applications (idempotency ledger)
+========================= */
+// One entry per order an invoice was applied to, so re-submits and Slack retries
+// don't append the invoice label / note line a second time.
+function invoiceLabel(invoiceSupplier, invoiceDate) {
+  return `${(invoiceSupplier || '').trim()} ${(invoiceDate || '').trim()} Invoice`.trim();
+}
+
+// invoice: { invoiceSupplier, invoiceDateIso }. Keyed on the ISO date so the same month-day in
+// another year is a different invoice.
+function invoiceApplicationKey(invoice, digits) {
+  return [invoice.invoiceSupplier, invoice.invoiceDateIso, digits].map(x => String(x || '').trim().toLowerCase()).join('|');
+}
+
+async function readInvoiceApplications() {
+  return (await readJsonSafe(APPLICATIONS_FILE, {})) || {};
+}
+
+async function isInvoiceApplied(invoice, digits) {
+  const ledger = await readInvoiceApplications();
+  return Boolean(ledger[invoiceApplicationKey(invoice, digits)]);
+}
+
+// Ledger entries for any of `digits` under this invoice (the same invoice label already applied)
+async function findAppliedInvoiceOrders(invoice, digits) {
+  const ledger = await readInvoiceApplications();
+  return digits.map(d => ledger[invoiceApplicationKey(invoice, d)]).filter(Boolean);
+}
+
+// A reverted invoice is no longer on those orders: drop its entries so applying it again
+// appends the note line along with the label
+async function removeInvoiceApplications(invoice, digitsList) {
+  if (!digitsList.length) return;
+  await withKeyLock('applications', async () => {
+    const ledger = await readInvoiceApplications();
+    let changed = false;
+    for (const digits of digitsList) {
+      const key = invoiceApplicationKey(invoice, digits);
+      if (ledger[key]) {
+        delete ledger[key];
+        changed = true;
+      }
+    }
+    if (changed) await writeJsonAtomic(APPLICATIONS_FILE, ledger);
+  });
+}
+
+async function recordInvoiceApplication(key, info) {
+  await withKeyLock('applications', async () => {
+    await ensureDirs();
+    const ledger = await readInvoiceApplications();
+    if (!ledger[key]) {
+      ledger[key] = { applied_at: new Date().toISOString(), ...info };
+      await writeJsonAtomic(APPLICATIONS_FILE, ledger);
+    }
+  });
+}
+
+/* =========================
+   Audit log (append-only JSONL)
+========================= */
+// Serialize appends so concurrent orders never interleave partial lines
+let __auditWriteChain = Promise.resolve();
+
+// audit: { source, slack_user, channel, thread_ts, invoice_supplier, invoice_date, order_digits }
+function auditBase(audit, orderId) {
+  const a = audit || {};
+  return {
+    ts: new Date().toISOString(),
+    source: a.source || null,
+    order_id: String(orderId).replace(/^gid:\/\/shopify\/Order\//, ''),
+    order_digits: a.order_digits || null,
+    slack_user: a.slack_user || null,
+    channel: a.channel || null,
+    thread_ts: a.thread_ts || null,
+    invoice_supplier: a.invoice_supplier || null,
+    invoice_date: a.invoice_date || null
+  };
+}
+
+function appendAuditEntries(entries) {
+  if (!entries.length) return __auditWriteChain;
+  const lines = entries.map(e => JSON.stringify(e)).join('\n') + '\n';
+  __auditWriteChain = __auditWriteChain
+    .then(async () => {
+      await fsp.mkdir(DATA_DIR, { recursive: true });
+      await fsp.appendFile(AUDIT_LOG_FILE, lines, 'utf8');
+    })
+    .catch(e => console.error('[audit] append failed:', e?.message || e));
+  return __auditWriteChain;
+}
+
+// Stream the log and keep entries matching `predicate` (the file only ever grows)
+async function readAuditEntries(predicate) {
+  const out = [];
+  if (!fs.existsSync(AUDIT_LOG_FILE)) return out;
+  const rl = readline.createInterface({ input: fs.createReadStream(AUDIT_LOG_FILE, 'utf8'), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (predicate(entry)) out.push(entry);
+    } catch {
+      // skip a torn line rather than failing the whole read
+    }
+  }
+  return out;
+}
+
 // Run a worker over an array with a max concurrency
 async function runWithConcurrency(max, items, worker) {
   const results = new Array(items.length);
@@ -124,30 +932,150 @@ async function runWithConcurrency(max, items, worker) {
   return results;
 }
 
-// ---- Global throttle for ALL Shopify calls (serialize + small gap) ----
-let __shopifyGate = Promise.resolve();
-const __SHOPIFY_MIN_GAP_MS = 400; // increase if you still see 429s
+// ---- Shopify rate limiter (leaky bucket, driven by response headers) ----
+// REST: X-Shopify-Shop-Api-Call-Limit ("32/40") tells us how full the bucket is.
+// GraphQL: extensions.cost.throttleStatus tells us available points + restore rate.
+// Calls burst freely while the bucket is mostly empty, get paced as it fills,
+// and wait outright when the next call would not fit.
+const __SHOPIFY_SOFT_FILL = 0.5;      // start pacing once the bucket is this full
+const __SHOPIFY_MAX_IN_FLIGHT = Math.max(1, parseInt(SHOPIFY_MAX_IN_FLIGHT, 10) || 4);
+const __SHOPIFY_GRAPHQL_DEFAULT_COST = 50;
+
+const __shopifyLimiter = {
+  inFlight: 0,
+  buckets: {
+    // Standard plan defaults; corrected from the first response headers
+    rest:    { capacity: 40,   used: 0, leakPerSec: 2,  updatedAt: Date.now(), lastGrantAt: 0 },
+    graphql: { capacity: 1000, used: 0, leakPerSec: 50, updatedAt: Date.now(), lastGrantAt: 0 }
+  },
+  graphqlCostByQuery: new Map(), // query text -> last requestedQueryCost
+  stats: {
+    rest:    { calls: 0, waited_calls: 0, waited_ms: 0, max_wait_ms: 0, throttled: 0 },
+    graphql: { calls: 0, waited_calls: 0, waited_ms: 0, max_wait_ms: 0, throttled: 0 }
+  }
+};
+
+// Drain the bucket for the time that passed since we last looked at it
+function __leakShopifyBucket(b) {
+  const now = Date.now();
+  b.used = Math.max(0, b.used - ((now - b.updatedAt) / 1000) * b.leakPerSec);
+  b.updatedAt = now;
+}
+
+// How long the next call of `cost` units should wait (0 = go now)
+function __shopifyDelayFor(kind, cost) {
+  const b = __shopifyLimiter.buckets[kind];
+  __leakShopifyBucket(b);
+
+  const free = b.capacity - b.used;
+  if (free < cost) return Math.ceil(((cost - free) / b.leakPerSec) * 1000);
+
+  const fill = b.used / b.capacity;
+  if (fill <= __SHOPIFY_SOFT_FILL) return 0;
+
+  // Spacing grows from 0 (half full) to one full leak interval (nearly full)
+  const spacingMs = ((fill - __SHOPIFY_SOFT_FILL) / (1 - __SHOPIFY_SOFT_FILL)) * (cost / b.leakPerSec) * 1000;
+  return Math.max(0, Math.ceil(b.lastGrantAt + spacingMs - Date.now()));
+}
+
+async function __withShopifyLimiter(kind, cost, fn) {
+  const stats = __shopifyLimiter.stats[kind];
+  const started = Date.now();
+
+  while (true) {
+    const delay = __shopifyDelayFor(kind, cost);
+    if (delay <= 0 && __shopifyLimiter.inFlight < __SHOPIFY_MAX_IN_FLIGHT) break;
+    await new Promise(r => setTimeout(r, Math.max(delay, 25)));
+  }
+
+  // Reserve our share up front so concurrent callers see it immediately
+  const b = __shopifyLimiter.buckets[kind];
+  b.used += cost;
+  b.lastGrantAt = Date.now();
+  __shopifyLimiter.inFlight += 1;
+
+  const waited = b.lastGrantAt - started;
+  stats.calls += 1;
+  if (waited > 0) {
+    stats.waited_calls += 1;
+    stats.waited_ms += waited;
+    stats.max_wait_ms = Math.max(stats.max_wait_ms, waited);
+  }
 
-async function __withShopifyThrottle(fn) {
-  const prev = __shopifyGate;
-  let release;
-  __shopifyGate = new Promise(res => { release = res; });
-  await prev;            // wait for the previous Shopify call to finish & release
   try {
-    return await fn();   // perform the wrapped Shopify call
+    return await fn();
   } finally {
-    setTimeout(release, __SHOPIFY_MIN_GAP_MS); // wait a bit before allowing next call
+    __shopifyLimiter.inFlight -= 1;
+  }
+}
+
+// REST: "X-Shopify-Shop-Api-Call-Limit: 32/40" is authoritative for the bucket level
+function __noteShopifyRestResponse(res) {
+  const b = __shopifyLimiter.buckets.rest;
+  const header = res.headers.get('X-Shopify-Shop-Api-Call-Limit');
+  const m = header && header.match(/^(\d+)\/(\d+)$/);
+  if (m) {
+    b.used = parseInt(m[1], 10);
+    b.capacity = parseInt(m[2], 10);
+    b.leakPerSec = b.capacity / 20; // 40 -> 2/s, 400 (Plus) -> 20/s
+    b.updatedAt = Date.now();
+  }
+  if (res.status === 429) {
+    __shopifyLimiter.stats.rest.throttled += 1;
+    b.used = b.capacity;
+    b.updatedAt = Date.now();
+  }
+}
+
+// GraphQL: extensions.cost.throttleStatus is authoritative for the bucket level
+function __noteShopifyGraphqlCost(query, cost, throttled = false) {
+  const b = __shopifyLimiter.buckets.graphql;
+  const ts = cost?.throttleStatus;
+  if (ts && ts.maximumAvailable) {
+    b.capacity = ts.maximumAvailable;
+    b.used = Math.max(0, ts.maximumAvailable - ts.currentlyAvailable);
+    b.leakPerSec = ts.restoreRate || b.leakPerSec;
+    b.updatedAt = Date.now();
+  }
+  if (cost?.requestedQueryCost) {
+    __shopifyLimiter.graphqlCostByQuery.set(query, cost.requestedQueryCost);
+  }
+  if (throttled) {
+    __shopifyLimiter.stats.graphql.throttled += 1;
+  }
+}
+
+function __estimateShopifyGraphqlCost(query) {
+  return __shopifyLimiter.graphqlCostByQuery.get(query) || __SHOPIFY_GRAPHQL_DEFAULT_COST;
+}
+
+// Snapshot for /diag
+function shopifyLimiterStats() {
+  const out = { in_flight: __shopifyLimiter.inFlight, max_in_flight: __SHOPIFY_MAX_IN_FLIGHT };
+  for (const kind of ['rest', 'graphql']) {
+    const b = __shopifyLimiter.buckets[kind];
+    __leakShopifyBucket(b);
+    out[kind] = {
+      capacity: b.capacity,
+      used: Math.round(b.used * 10) / 10,
+      leak_per_s: b.leakPerSec,
+      ...__shopifyLimiter.stats[kind]
+    };
   }
+  return out;
 }
 
 /* =========================
    Shopify Helpers
 ========================= */
+// Orders processed in parallel by bulk submit (each order's calls still go through the limiter)
+const BULK_ORDER_CONCURRENCY = Math.max(1, parseInt(SHOPIFY_BULK_CONCURRENCY, 10) || 3);
+
 const SHOPIFY_BASE = `https://${SHOPIFY_DOMAIN}/admin/api/${SHOPIFY_API_VERSION}`;
 
 async function shopifyFetch(pathname, { method = 'GET', headers = {}, body } = {}, attempt = 1) {
   const url = `${SHOPIFY_BASE}${pathname}`;
-  const res = await __withShopifyThrottle(() => fetch(url, {
+  const res = await __withShopifyLimiter('rest', 1, () => fetch(url, {
     method,
     headers: {
       'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN,
@@ -156,6 +1084,7 @@ async function shopifyFetch(pathname, { method = 'GET', headers = {}, body } = {
     },
     body: body ? JSON.stringify(body) : undefined
   }));
+  __noteShopifyRestResponse(res);
 
   // Handle rate limiting / transient errors with backoff
   if (res.status === 429 || (res.status >= 500 && res.status < 600)) {
@@ -176,61 +1105,452 @@ async function shopifyFetch(pathname, { method = 'GET', headers = {}, body } = {
 }
 
 
-// Fetch all metafields for an order and return a map like {"namespace.key": "value"}
-async function fetchOrderMetafields(orderId) {
-  const data = await shopifyFetch(`/orders/${orderId}/metafields.json`);
-  const out = {};
-  for (const mf of (data.metafields || [])) {
-    const ns = (mf.namespace || '').trim();
-    const key = (mf.key || '').trim();
-    const val = (mf.value ?? '').toString().trim();
-    if (ns && key) out[`${ns}.${key}`] = val;
-  }
-  return out;
-}
+/* =========================
+   Shopify GraphQL Admin API
+========================= */
+const SHOPIFY_GRAPHQL_URL = `${SHOPIFY_BASE}/graphql.json`;
+const METAFIELDS_SET_MAX = 25; // metafieldsSet accepts at most 25 metafields per call
 
-// Create or update a single order metafield (REST)
-async function upsertOrderMetafield(orderId, namespace, key, value, typeHint) {
-  // 1) List existing metafields for this order
-  const list = await shopifyFetch(`/orders/${orderId}/metafields.json`);
-  const existing = (list.metafields || []).find(m => m.namespace === namespace && m.key === key);
-
-  if (existing) {
-    // 2) Update existing metafield (do not force type; keep what's there)
-    await shopifyFetch(`/metafields/${existing.id}.json`, {
-      method: 'PUT',
-      body: {
-        metafield: {
-          id: existing.id,
-          value
-        }
-      }
-    });
-  } else {
-    // 3) Create the metafield on the order (use provided type hint or single-line by default)
-    await shopifyFetch(`/orders/${orderId}/metafields.json`, {
-      method: 'POST',
-      body: {
-        metafield: {
-          namespace,
-          key,
-          type: typeHint || 'single_line_text_field',
-          value
-        }
-      }
-    });
-  }
+// REST order IDs are numeric; GraphQL wants a global ID
+function orderGid(orderId) {
+  const s = String(orderId);
+  return s.startsWith('gid://') ? s : `gid://shopify/Order/${s}`;
 }
 
-// Delete a single order metafield if it exists
-async function deleteOrderMetafield(orderId, namespace, key) {
-  const list = await shopifyFetch(`/orders/${orderId}/metafields.json`);
-  const existing = (list.metafields || []).find(m => m.namespace === namespace && m.key === key);
-  if (existing) {
-    await shopifyFetch(`/metafields/${existing.id}.json`, { method: 'DELETE' });
-  }
+async function shopifyGraphQL(query, variables = {}, attempt = 1) {
+  const res = await __withShopifyLimiter('graphql', __estimateShopifyGraphqlCost(query), () => fetch(SHOPIFY_GRAPHQL_URL, {
+    method: 'POST',
+    headers: {
+      'X-Shopify-Access-Token': SHOPIFY_ADMIN_TOKEN,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ query, variables })
+  }));
+
+  // Same backoff rules as REST for 429 / 5xx
+  if (res.status === 429) __shopifyLimiter.stats.graphql.throttled += 1;
+  if (res.status === 429 || (res.status >= 500 && res.status < 600)) {
+    const retryAfterHeader = res.headers.get('Retry-After');
+    const retryAfter = retryAfterHeader ? parseFloat(retryAfterHeader) * 1000 : Math.min(2000 * attempt, 10000);
+    if (attempt <= 5) {
+      console.warn(`Shopify GraphQL ${res.status}. Retrying in ${retryAfter}ms (attempt ${attempt})...`);
+      await new Promise(r => setTimeout(r, retryAfter));
+      return shopifyGraphQL(query, variables, attempt + 1);
+    }
+  }
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => '');
+    throw new Error(`Shopify GraphQL failed: ${res.status} ${res.statusText} - ${text}`);
+  }
+
+  const json = await res.json();
+  // Cost-based throttling comes back as a 200 with a THROTTLED error
+  const throttled = (json.errors || []).some(e => e?.extensions?.code === 'THROTTLED');
+  __noteShopifyGraphqlCost(query, json.extensions?.cost, throttled);
+
+  if (json.errors?.length) {
+    if (throttled && attempt <= 5) {
+      // Wait until the bucket has restored enough points for this query
+      const wait = Math.max(__shopifyDelayFor('graphql', __estimateShopifyGraphqlCost(query)), 1000);
+      console.warn(`Shopify GraphQL throttled. Retrying in ${wait}ms (attempt ${attempt})...`);
+      await new Promise(r => setTimeout(r, wait));
+      return shopifyGraphQL(query, variables, attempt + 1);
+    }
+    throw new Error(`Shopify GraphQL failed: ${json.errors.map(e => e.message).join('; ')}`);
+  }
+  return json.data;
+}
+
+// Turn mutation userErrors into an Error that still says which metafield was rejected
+function metafieldUserErrorsToError(label, userErrors, entries = []) {
+  const details = userErrors.map(ue => {
+    const idx = Array.isArray(ue.field) ? parseInt(ue.field[1], 10) : NaN;
+    const entry = Number.isInteger(idx) ? entries[idx] : null;
+    return {
+      key: entry ? `${entry.namespace}.${entry.key}` : null,
+      value: entry ? entry.value : null,
+      message: ue.message
+    };
+  });
+  const err = new Error(
+    `${label} failed: ` + details.map(d => (d.key ? `${d.key}: ${d.message}` : d.message)).join('; ')
+  );
+  err.userErrors = details;
+  return err;
+}
+
+const ORDER_METAFIELDS_QUERY = `
+  query OrderMetafields($id: ID!, $after: String) {
+    order(id: $id) {
+      metafields(first: 250, after: $after) {
+        nodes { namespace key value type }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+// Fetch all metafields for an order as [{namespace, key, value, type}]
+async function fetchOrderMetafieldNodes(orderId) {
+  const nodes = [];
+  let after = null;
+  do {
+    const data = await shopifyGraphQL(ORDER_METAFIELDS_QUERY, { id: orderGid(orderId), after });
+    const conn = data?.order?.metafields;
+    if (!conn) break;
+    nodes.push(...(conn.nodes || []));
+    after = conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (after);
+  return nodes;
+}
+
+// Collapse metafield nodes into a map like {"namespace.key": "value"}
+function metafieldNodesToMap(nodes) {
+  const out = {};
+  for (const mf of nodes) {
+    const ns = (mf.namespace || '').trim();
+    const key = (mf.key || '').trim();
+    const val = (mf.value ?? '').toString().trim();
+    if (ns && key) out[`${ns}.${key}`] = val;
+  }
+  return out;
+}
+
+// Fetch all metafields for an order and return a map like {"namespace.key": "value"}
+async function fetchOrderMetafields(orderId) {
+  return metafieldNodesToMap(await fetchOrderMetafieldNodes(orderId));
+}
+
+const METAFIELDS_SET_MUTATION = `
+  mutation MetafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { namespace key }
+      userErrors { field message code }
+    }
+  }
+`;
+
+const METAFIELDS_DELETE_MUTATION = `
+  mutation MetafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields { namespace key }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Create or update many order metafields with metafieldsSet.
+// entries: [{namespace, key, value, type?, old?}]. Existing metafields keep their type;
+// new ones use the entry's type (or single-line text). Pass `existingNodes` to skip the lookup.
+// Every written key is appended to the audit log with its old and new value.
+async function setOrderMetafields(orderId, entries, existingNodes = null, audit = null) {
+  const list = (entries || []).filter(e => e && e.namespace && e.key && e.value != null && e.value !== '');
+  if (!list.length) return;
+
+  const needsLookup = !existingNodes;
+  const nodes = needsLookup ? await fetchOrderMetafieldNodes(orderId) : existingNodes;
+  const typeByKey = new Map(nodes.map(n => [`${n.namespace}.${n.key}`, n.type]));
+  const valueByKey = new Map(nodes.map(n => [`${n.namespace}.${n.key}`, n.value]));
+
+  const ownerId = orderGid(orderId);
+  const inputs = list.map(e => ({
+    ownerId,
+    namespace: e.namespace,
+    key: e.key,
+    type: typeByKey.get(`${e.namespace}.${e.key}`) || e.type || 'single_line_text_field',
+    value: String(e.value)
+  }));
+
+  for (let i = 0; i < inputs.length; i += METAFIELDS_SET_MAX) {
+    const chunk = inputs.slice(i, i + METAFIELDS_SET_MAX);
+    const data = await shopifyGraphQL(METAFIELDS_SET_MUTATION, { metafields: chunk });
+    const userErrors = data?.metafieldsSet?.userErrors || [];
+    if (userErrors.length) {
+      throw metafieldUserErrorsToError('metafieldsSet', userErrors, chunk);
+    }
+
+    await appendAuditEntries(chunk.map((input, j) => {
+      const entry = list[i + j];
+      const field = `${input.namespace}.${input.key}`;
+      return {
+        ...auditBase(audit, orderId),
+        action: 'metafield_set',
+        field,
+        old: 'old' in entry ? entry.old : (valueByKey.get(field) ?? null),
+        new: input.value
+      };
+    }));
+  }
 }
 
+// Delete many order metafields; keys that don't exist are ignored by Shopify.
+// keys: [{namespace, key, old?}] — old values are looked up for the audit log when missing.
+async function deleteOrderMetafields(orderId, keys, existingNodes = null, audit = null) {
+  const list = (keys || []).filter(k => k && k.namespace && k.key);
+  if (!list.length) return;
+
+  const needsLookup = !existingNodes && list.some(k => !('old' in k));
+  const nodes = needsLookup ? await fetchOrderMetafieldNodes(orderId) : (existingNodes || []);
+  const valueByKey = new Map(nodes.map(n => [`${n.namespace}.${n.key}`, n.value]));
+
+  const ownerId = orderGid(orderId);
+  const inputs = list.map(k => ({ ownerId, namespace: k.namespace, key: k.key }));
+  const data = await shopifyGraphQL(METAFIELDS_DELETE_MUTATION, { metafields: inputs });
+  const userErrors = data?.metafieldsDelete?.userErrors || [];
+  if (userErrors.length) {
+    throw metafieldUserErrorsToError('metafieldsDelete', userErrors, inputs);
+  }
+
+  // Only keys that actually existed were deleted
+  const deleted = new Set((data?.metafieldsDelete?.deletedMetafields || [])
+    .filter(Boolean)
+    .map(m => `${m.namespace}.${m.key}`));
+  await appendAuditEntries(list
+    .filter(k => deleted.has(`${k.namespace}.${k.key}`))
+    .map(k => ({
+      ...auditBase(audit, orderId),
+      action: 'metafield_delete',
+      field: `${k.namespace}.${k.key}`,
+      old: 'old' in k ? k.old : (valueByKey.get(`${k.namespace}.${k.key}`) ?? null),
+      new: null
+    })));
+}
+
+// Apply a full metafield write set for one order: one metafieldsSet (+ one metafieldsDelete)
+async function writeOrderMetafields(orderId, { set = [], remove = [] } = {}, existingNodes = null, audit = null) {
+  await setOrderMetafields(orderId, set, existingNodes, audit);
+  await deleteOrderMetafields(orderId, remove, existingNodes, audit);
+}
+
+/* =========================
+   Parts catalog (parts.json, lives NEXT TO index.js)
+========================= */
+// Each entry drives the Parts checkbox option, its metafield write, the initial
+// selection read back from metafields, and its place on the packing slip.
+//   value            checkbox value / block id part (lowercase, a-z 0-9 _)
+//   label            checkbox text
+//   metafield        "namespace.key" written on submit
+//   on / off         metafield value when checked / unchecked (plain parts)
+//   requiresText     part carries free text: metafield = text, deleted when unchecked
+//   textLabel        name used for the text input, errors and history (text parts)
+//   packingSlipLabel text on the packing slip; "{text}" is replaced by the typed text
+//   packingSlipLine  "list" (default, joined on line 3) or "note" (own line at the bottom)
+//   defaultSelected  pre-checked when the order was never tagged
+const PARTS_FILE = path.join(__DIRNAME, 'parts.json');
+let PARTS_CATALOG = [];
+
+function validatePartsCatalog(list) {
+  const errors = [];
+  if (!Array.isArray(list) || !list.length) return ['parts.json must be a non-empty array'];
+  if (list.length > 10) errors.push('at most 10 parts (Slack checkbox limit)');
+
+  const values = new Set();
+  const metafields = new Set();
+  list.forEach((p, i) => {
+    const where = `parts[${i}]${p && p.value ? ` (${p.value})` : ''}`;
+    if (!p || typeof p !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof p.value !== 'string' || !/^[a-z0-9_]+$/.test(p.value)) errors.push(`${where}: "value" must match [a-z0-9_]+`);
+    else if (values.has(p.value)) errors.push(`${where}: duplicate value`);
+    else values.add(p.value);
+
+    if (typeof p.label !== 'string' || !p.label.trim() || p.label.length > 75) errors.push(`${where}: "label" must be 1-75 characters`);
+
+    if (typeof p.metafield !== 'string' || !/^[\w-]+\.[\w-]+$/.test(p.metafield)) errors.push(`${where}: "metafield" must look like "namespace.key"`);
+    else if (metafields.has(p.metafield)) errors.push(`${where}: metafield ${p.metafield} is used twice`);
+    else metafields.add(p.metafield);
+
+    if (p.requiresText) {
+      if (typeof p.textLabel !== 'string' || !p.textLabel.trim()) errors.push(`${where}: text parts need a "textLabel"`);
+    } else {
+      if (typeof p.on !== 'string' || !p.on.trim()) errors.push(`${where}: "on" is required`);
+      if (typeof p.off !== 'string' || !p.off.trim()) errors.push(`${where}: "off" is required`);
+    }
+
+    if (p.packingSlipLabel != null && typeof p.packingSlipLabel !== 'string') errors.push(`${where}: "packingSlipLabel" must be a string`);
+    if (p.packingSlipLine != null && !['list', 'note'].includes(p.packingSlipLine)) errors.push(`${where}: "packingSlipLine" must be "list" or "note"`);
+  });
+  return errors;
+}
+
+// Load + validate parts.json; throws with every problem listed so startup fails loudly
+async function loadPartsCatalog() {
+  let list;
+  try {
+    list = JSON.parse(await fsp.readFile(PARTS_FILE, 'utf8'));
+  } catch (e) {
+    throw new Error(`cannot read ${PARTS_FILE}: ${e?.message || e}`);
+  }
+  const errors = validatePartsCatalog(list);
+  if (errors.length) {
+    throw new Error(`invalid ${PARTS_FILE}:\n  - ${errors.join('\n  - ')}`);
+  }
+  PARTS_CATALOG = list.map(p => {
+    const [namespace, key] = p.metafield.split('.');
+    return {
+      ...p,
+      namespace,
+      key,
+      requiresText: Boolean(p.requiresText),
+      packingSlipLabel: p.packingSlipLabel ?? (p.requiresText ? '{text}' : p.on),
+      packingSlipLine: p.packingSlipLine || 'list',
+      defaultSelected: Boolean(p.defaultSelected)
+    };
+  });
+  return PARTS_CATALOG;
+}
+
+// Short name for history / reports
+function partLabel(value) {
+  const p = PARTS_CATALOG.find(x => x.value === value);
+  return p ? (p.textLabel || p.label) : value;
+}
+
+// Text input ids; suffix is '' for the single-order modal and `_${digits}` in the bulk modal
+function partTextBlockId(value, suffix = '') { return `parts_${value}_text${suffix}`; }
+function partTextActionId(value, suffix = '') { return `${value}_text${suffix}`; }
+
+function partCheckboxOptions() {
+  return PARTS_CATALOG.map(p => ({ text: { type: 'plain_text', text: p.label }, value: p.value }));
+}
+
+// Parts checkboxes + one text input per text part
+function buildPartsInputBlocks(init, { suffix = '', label = 'Select all that apply' } = {}) {
+  const options = partCheckboxOptions();
+  const blocks = [{
+    type: 'input',
+    block_id: `parts_block${suffix}`,
+    optional: false,
+    label: { type: 'plain_text', text: label },
+    element: {
+      type: 'checkboxes',
+      action_id: `parts_check${suffix}`,
+      initial_options: options.filter(o => init.partsSelections.includes(o.value)),
+      options
+    }
+  }];
+  for (const p of PARTS_CATALOG.filter(x => x.requiresText)) {
+    blocks.push({
+      type: 'input',
+      block_id: partTextBlockId(p.value, suffix),
+      optional: true,
+      label: { type: 'plain_text', text: `${p.textLabel} — details (required if selected above)` },
+      element: {
+        type: 'plain_text_input',
+        action_id: partTextActionId(p.value, suffix),
+        multiline: false,
+        initial_value: init.partTexts?.[p.value] || '',
+        placeholder: { type: 'plain_text', text: `Enter details if you checked "${p.textLabel}"` }
+      }
+    });
+  }
+  return blocks;
+}
+
+// Number of blocks buildPartsInputBlocks() produces
+function partsInputBlockCount() {
+  return 1 + PARTS_CATALOG.filter(p => p.requiresText).length;
+}
+
+// Read checkboxes + texts; typing text counts as checking that part
+function readPartsSelections(state, suffix = '') {
+  const partsSelected = (state?.[`parts_block${suffix}`]?.[`parts_check${suffix}`]?.selected_options || []).map(o => o.value);
+  const partTexts = {};
+  for (const p of PARTS_CATALOG.filter(x => x.requiresText)) {
+    const text = (state?.[partTextBlockId(p.value, suffix)]?.[partTextActionId(p.value, suffix)]?.value || '').trim();
+    partTexts[p.value] = text;
+    if (text && !partsSelected.includes(p.value)) partsSelected.push(p.value);
+  }
+  return { partsSelected, partTexts };
+}
+
+// response_action 'errors' map for checked text parts without text
+function validatePartsSelections(sel, suffix = '') {
+  const errors = {};
+  const set = new Set(sel.partsSelected);
+  for (const p of PARTS_CATALOG.filter(x => x.requiresText)) {
+    if (set.has(p.value) && !(sel.partTexts?.[p.value] || '').trim()) {
+      errors[partTextBlockId(p.value, suffix)] = `Please provide details for "${p.textLabel}".`;
+    }
+  }
+  return errors;
+}
+
+// Stage every catalog metafield on an order context
+function stagePartsMetafields(ctx, sel) {
+  const set = new Set(sel.partsSelected);
+  for (const p of PARTS_CATALOG) {
+    if (p.requiresText) {
+      const text = (sel.partTexts?.[p.value] || '').trim();
+      if (set.has(p.value) && text) ctx.setMetafield(p.namespace, p.key, text);
+      else ctx.deleteMetafield(p.namespace, p.key);
+    } else {
+      ctx.setMetafield(p.namespace, p.key, set.has(p.value) ? p.on : p.off);
+    }
+  }
+}
+
+// packing_slip_notes:
+//   FULFILLMENT — PAYMENT
+//   (blank)
+//   list parts joined by ", " ("X only" when there is exactly one)
+//   (blank + note lines, e.g. "Should Be Set Aside Already: …")
+function buildPackingSlipNotes(sel, fulfillmentLabel, paymentLabel) {
+  const set = new Set(sel.partsSelected);
+  const listItems = [];
+  const noteLines = [];
+  for (const p of PARTS_CATALOG) {
+    if (!set.has(p.value)) continue;
+    const text = (sel.partTexts?.[p.value] || '').trim();
+    if (p.requiresText && !text) continue;
+    const line = p.packingSlipLabel.replace('{text}', text);
+    if (p.packingSlipLine === 'note') noteLines.push(line);
+    else listItems.push(line);
+  }
+
+  let line3 = listItems.join(', ');
+  if (listItems.length === 1) line3 = `${listItems[0]} only`;
+
+  const packingLines = [`${fulfillmentLabel.toUpperCase()} — ${paymentLabel.toUpperCase()}`, '', line3];
+  if (noteLines.length) {
+    packingLines.push('');        // extra blank line before the note lines
+    packingLines.push(...noteLines);
+  }
+  return packingLines.join('\n');
+}
+
+// Initial checkbox state from metafields (useMeta) or the catalog defaults
+function initialPartsFromMetafields(v, useMeta) {
+  if (!useMeta) {
+    return { partsSelections: PARTS_CATALOG.filter(p => p.defaultSelected).map(p => p.value), partTexts: {} };
+  }
+  const partsSelections = [];
+  const partTexts = {};
+  for (const p of PARTS_CATALOG) {
+    const current = v(p.metafield);
+    if (p.requiresText) {
+      partTexts[p.value] = current; // pre-fill if present
+      if (current) partsSelections.push(p.value);
+    } else if (current.toLowerCase() === p.on.toLowerCase()) {
+      partsSelections.push(p.value);
+    }
+  }
+  return { partsSelections, partTexts };
+}
+
+// Display labels for stored selection values (history / reports)
+const FULFILLMENT_LABELS = { ship: 'Ship', install_pickup: 'Install/Pickup', tbd: 'TBD' };
+const PAYMENT_LABELS = {
+  pif: 'PIF',
+  deposit: 'Deposit',
+  pif_prepaid_install: 'PIF + Pre-Paid Install',
+  unpaid: 'Unpaid',
+  unknown: 'Unknown'
+};
+
 // Build initial modal selections from metafields, following your exact rules
 function buildInitialsFromMetafields(mfMap) {
   const v = (k) => (mfMap[k] || '').trim();
@@ -239,54 +1559,21 @@ function buildInitialsFromMetafields(mfMap) {
   const useMeta = taggingDone === 'yes';
 
   // Defaults (when blank or "No")
-  let partsSelections = ['steering_wheel']; // default pre-check Steering Wheel
   let fulfillment = 'ship';                 // default Ship
   let payment = 'pif';                      // default PIF
-  let otherText = '';
-  let setAsideText = '';
 
-  if (useMeta) {
-    partsSelections = [];
-    // 1. Steering Wheel
-    if (v('custom.parts_steering_wheel').toLowerCase() === 'steering wheel') {
-      partsSelections.push('steering_wheel');
-    }
-    // 2. Trim
-    if (v('custom.parts_trim').toLowerCase() === 'trim') {
-      partsSelections.push('trim');
-    }
-    // 3. Paddles
-    if (v('custom.parts_paddles').toLowerCase() === 'paddles') {
-      partsSelections.push('paddles');
-    }
-    // 4. Magnetic Paddles
-    if (v('custom.parts_magnetic_paddles').toLowerCase() === 'magnetic paddles') {
-      partsSelections.push('magnetic_paddles');
-    }
-    // 5. DA Module
-    if (v('custom.parts_da_module').toLowerCase() === 'da module') {
-      partsSelections.push('da_module');
-    }
-    // 6. Return Label
-    if (v('custom.parts_return_label').toLowerCase() === 'return label') {
-      partsSelections.push('return_label');
-    }
-    // 7. Other text
-    otherText = v('custom.parts_other'); // pre-fill if present
-    // 8. Parts Set Aside text
-    setAsideText = v('custom.parts_set_aside_already'); // pre-fill if present
-
-if ((otherText || '').trim()) partsSelections.push('other');
-if ((setAsideText || '').trim()) partsSelections.push('set_aside');
+  // Parts (checkboxes + free-text parts) come from the parts catalog
+  const { partsSelections, partTexts } = initialPartsFromMetafields(v, useMeta);
 
-    // 9. Fulfillment
+  if (useMeta) {
+    // Fulfillment
     const f = v('custom.ship_install_pickup');
     if (f === 'Ship') fulfillment = 'ship';
     else if (f === 'Install/Pickup') fulfillment = 'install_pickup';
     else if (f === 'TBD') fulfillment = 'tbd';
     else if (!f) fulfillment = 'ship'; // blank -> Ship
 
-    // 10. Payment
+    // Payment
     const p = v('custom.pif_or_not');
     if (p === 'PIF') payment = 'pif';
     else if (p === 'Deposit') payment = 'deposit';
@@ -296,50 +1583,553 @@ if ((setAsideText || '').trim()) partsSelections.push('set_aside');
     else if (!p) payment = 'unknown'; // blank -> Unknown
   }
 
-  return { useMeta, partsSelections, fulfillment, payment, otherText, setAsideText };
+  return { useMeta, partsSelections, partTexts, fulfillment, payment };
 }
 
 
-// Look up by Shopify order "name", which is like "C#1234"
-async function findOrderByName(orderNumber4Digits) {
-  const encodedName = encodeURIComponent(`C#${orderNumber4Digits}`); // "C%231234"
+// Look up by Shopify order "name", which is like "C#1234" (see orderName)
+async function findOrderByName(orderNumber) {
+  const expected = orderName(orderNumber);
+  const encodedName = encodeURIComponent(expected); // "C%231234"
   const data = await shopifyFetch(`/orders.json?name=${encodedName}&status=any`);
-  const expected = `C#${orderNumber4Digits}`;
+  // Exact match only: the name filter also returns longer names (C#12345 for C#1234)
   const order = (data.orders || []).find(o => typeof o.name === 'string' && o.name === expected);
   if (!order) {
-    throw new Error(`Order C#${orderNumber4Digits} not found`);
+    throw new Error(`Order ${expected} not found`);
   }
   return order;
 }
 
-// Fetch order tags as an array (Shopify returns a comma-separated string)
-async function fetchOrderTags(orderId) {
-  const data = await shopifyFetch(`/orders/${orderId}.json?fields=tags`);
-  const raw = data?.order?.tags || '';
-  return raw.split(',').map(t => t.trim()).filter(Boolean);
+// Best-effort customer display name for an order (customer, then shipping address)
+function customerNameFromOrder(order) {
+  if (order?.customer) {
+    return `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim();
+  }
+  if (order?.shipping_address) {
+    return `${order.shipping_address.first_name || ''} ${order.shipping_address.last_name || ''}`.trim();
+  }
+  return 'Unknown';
 }
 
-// Read only the "note" field for an order
-async function fetchOrderNote(orderId) {
-  const data = await shopifyFetch(`/orders/${orderId}.json?fields=note`);
-  return data?.order?.note || '';
+// Same for GraphQL order nodes (customer / shippingAddress with camelCase names)
+function customerNameFromGraphqlOrder(order) {
+  const person = order?.customer || order?.shippingAddress;
+  return person ? (`${person.firstName || ''} ${person.lastName || ''}`.trim() || 'Unknown') : 'Unknown';
 }
 
-// Update order "note"
-async function updateOrderNote(orderId, note) {
-  await shopifyFetch(`/orders/${orderId}.json`, {
-    method: 'PUT',
-    body: { order: { id: orderId, note } }
-  });
+// Many orders in a few GraphQL searches instead of one REST call each.
+// -> { found: [{ digits, id, customerName, financialStatus, fulfillmentStatus, cancelledAt, closed, closedAt, tags, backEndInvoice }],
+//      missing: [digits], errors: { digits: message } }, in input order. `id` is the numeric (REST) id
+// findOrderByName returns; orders of a chunk whose search failed are in `missing` and `errors`.
+const ORDERS_BY_NAME_QUERY = `
+  query OrdersByName($query: String!, $first: Int!, $after: String) {
+    orders(first: $first, after: $after, query: $query) {
+      nodes {
+        legacyResourceId
+        name
+        displayFinancialStatus
+        displayFulfillmentStatus
+        cancelledAt
+        closed
+        closedAt
+        tags
+        backEndInvoice: metafield(namespace: "custom", key: "_back_end_incoming_invoice") { value }
+        customer { firstName lastName }
+        shippingAddress { firstName lastName }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+const ORDERS_BY_NAME_CHUNK = 25; // names per search query
+
+async function findOrdersByNames(digitsList) {
+  const wanted = Array.from(new Set(digitsList.map(String)));
+  const byDigits = new Map();
+  const errors = {};
+
+  for (let i = 0; i < wanted.length; i += ORDERS_BY_NAME_CHUNK) {
+    const chunk = wanted.slice(i, i + ORDERS_BY_NAME_CHUNK);
+    const search = chunk.map(d => `name:"${orderName(d)}"`).join(' OR ');
+    try {
+      let after = null;
+      do {
+        const data = await shopifyGraphQL(ORDERS_BY_NAME_QUERY, { query: search, first: Math.min(chunk.length * 2, 250), after });
+        const conn = data?.orders;
+        if (!conn) break;
+        // Exact names only: the search can also match longer names
+        for (const o of conn.nodes || []) {
+          const digits = orderNumberFromName(o.name);
+          if (!digits || !chunk.includes(digits) || byDigits.has(digits) || o.name !== orderName(digits)) continue;
+          byDigits.set(digits, {
+            digits,
+            id: Number(o.legacyResourceId),
+            customerName: customerNameFromGraphqlOrder(o),
+            financialStatus: o.displayFinancialStatus || null,
+            fulfillmentStatus: o.displayFulfillmentStatus || null,
+            cancelledAt: o.cancelledAt || null,
+            closed: Boolean(o.closed),
+            closedAt: o.closedAt || null,
+            tags: (o.tags || []).map(t => t.trim()).filter(Boolean),
+            backEndInvoice: o.backEndInvoice?.value || ''
+          });
+        }
+        after = conn.pageInfo?.hasNextPage && chunk.some(d => !byDigits.has(d)) ? conn.pageInfo.endCursor : null;
+      } while (after);
+    } catch (err) {
+      for (const d of chunk) errors[d] = err?.message || String(err);
+    }
+  }
+
+  return {
+    found: wanted.filter(d => byDigits.has(d)).map(d => byDigits.get(d)),
+    missing: wanted.filter(d => !byDigits.has(d)),
+    errors
+  };
+}
+
+
+// Open orders waiting on a supplier's invoice: tagged with the supplier's PartsSupplier_ tag, not yet
+// Incoming_Yes, and either tagged ArrangeStatus_Arranged or arranged with this supplier in
+// custom._nc_arranged_with. Shopify search can't filter metafields, so that part is checked here.
+const CANDIDATE_ORDERS_QUERY = `
+  query CandidateOrders($query: String!, $after: String) {
+    orders(first: 100, after: $after, query: $query, sortKey: CREATED_AT) {
+      nodes {
+        id
+        name
+        tags
+        customer { firstName lastName }
+        shippingAddress { firstName lastName }
+        arrangedWith: metafield(namespace: "custom", key: "_nc_arranged_with") { value }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+const CANDIDATE_ORDERS_MAX = 50; // 5 checkbox groups of 10 in the /invoice-review modal
+
+// -> { orders: [{ digits, customerName, arrangedWith }], truncated }
+async function findCandidateOrders(profile) {
+  const search = `status:open tag:"${profile.tag}" -tag:"Incoming_Yes"`;
+  const orders = [];
+  let truncated = false;
+  let after = null;
+  do {
+    const data = await shopifyGraphQL(CANDIDATE_ORDERS_QUERY, { query: search, after });
+    const conn = data?.orders;
+    if (!conn) break;
+    for (const o of conn.nodes || []) {
+      const digits = orderNumberFromName(o.name);
+      const arrangedWith = (o.arrangedWith?.value || '').trim();
+      const arranged = (o.tags || []).includes('ArrangeStatus_Arranged') ||
+        arrangedWith.split('&').some(s => supplierMatches(profile, s));
+      if (!digits || !arranged) continue;
+      if (orders.length === CANDIDATE_ORDERS_MAX) { truncated = true; break; }
+      orders.push({ digits, customerName: customerNameFromGraphqlOrder(o), arrangedWith });
+    }
+    after = !truncated && conn.pageInfo?.hasNextPage ? conn.pageInfo.endCursor : null;
+  } while (after);
+  return { orders, truncated };
+}
+
+// Reasons an order probably shouldn't take an invoice, from findOrdersByNames' status fields.
+// The supplier check passes when any PartsSupplier_ tag belongs to the invoice supplier's profile;
+// `label` (invoiceLabel) flags orders whose _back_end_incoming_invoice already lists this invoice.
+function orderHealthWarnings(order, { invoiceSupplier, label } = {}, supplierProfiles = []) {
+  const warnings = [];
+  if (order.cancelledAt) warnings.push('cancelled');
+  const financial = String(order.financialStatus || '').toUpperCase();
+  if (financial === 'REFUNDED') warnings.push('refunded');
+  else if (financial === 'PARTIALLY_REFUNDED') warnings.push('partially refunded');
+  else if (financial === 'VOIDED') warnings.push('payment voided');
+  if (String(order.fulfillmentStatus || '').toUpperCase() === 'FULFILLED') warnings.push('already fulfilled');
+  if (order.closed || order.closedAt) warnings.push('archived');
+
+  if (invoiceSupplier) {
+    const profile = findSupplierProfile(supplierProfiles, invoiceSupplier);
+    const supplierTags = (order.tags || []).filter(t => t.startsWith(SUPPLIER_TAG_PREFIX));
+    const tagged = profile
+      ? supplierTags.some(t => supplierMatches(profile, t))
+      : supplierTags.some(t => supplierKey(t) === supplierKey(supplierTagName(invoiceSupplier.replace(/\s+/g, ''))));
+    if (!tagged) warnings.push(`no ${SUPPLIER_TAG_PREFIX} tag for ${profile ? profile.name : invoiceSupplier}`);
+  }
+  if (label && String(order.backEndInvoice || '').split(';').map(s => s.trim()).includes(label)) {
+    warnings.push(`already has "${label}"`);
+  }
+  return warnings;
+}
+
+const ORDER_UPDATE_MUTATION = `
+  mutation OrderUpdate($input: OrderInput!) {
+    orderUpdate(input: $input) {
+      order { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const ORDER_TAGS_NOTE_QUERY = `
+  query OrderTagsNote($id: ID!) {
+    order(id: $id) { tags note }
+  }
+`;
+
+// Update tags and/or note in one orderUpdate call. `tags` replaces the full tag set.
+// `before` ({ tags, note }, as the caller last read them) is what the audit log records as the old value.
+async function updateOrder(orderId, { tags, note } = {}, audit, before) {
+  const input = { id: orderGid(orderId) };
+  if (Array.isArray(tags)) input.tags = tags;
+  if (typeof note === 'string') input.note = note;
+  if (Object.keys(input).length === 1) return;
+
+  const data = await shopifyGraphQL(ORDER_UPDATE_MUTATION, { input });
+  const userErrors = data?.orderUpdate?.userErrors || [];
+  if (userErrors.length) {
+    throw new Error(`orderUpdate failed: ${userErrors.map(e => e.message).join('; ')}`);
+  }
+
+  const entries = [];
+  if (input.tags) {
+    entries.push({ ...auditBase(audit, orderId), action: 'tags_update', field: 'tags', old: before.tags ?? null, new: input.tags });
+  }
+  if ('note' in input) {
+    entries.push({ ...auditBase(audit, orderId), action: 'note_update', field: 'note', old: before.note ?? null, new: input.note });
+  }
+  await appendAuditEntries(entries);
+}
+
+/* =========================
+   who_contacts routing rules (data/who_contacts.json)
+========================= */
+// Ordered rules, first match wins; no match -> "default". The live copy lives in data/
+// (kept across deploys) and is seeded from who_contacts.json next to index.js.
+//   { "default": "Nick", "rules": [{ "name", "contact", "when": <condition> }] }
+// Conditions:
+//   { "subject": "metafield:custom.platform" | "tag" | "field:<name>" | "supplier", <operator> }
+//   operators: equals, in [..], contains, startsWith, matches (regex, case-insensitive), exists (bool)
+//   { "all": [..] }, { "any": [..] }, { "not": <condition> }; an array means "all"
+// "tag" matches when any order tag passes; fields: name, note, source_name,
+// financial_status, fulfillment_status. "supplier" is the invoice supplier (bulk flow only).
+const WHO_CONTACTS_DEFAULT_FILE = path.join(__DIRNAME, 'who_contacts.json');
+const WHO_CONTACTS_FILE = path.join(DATA_DIR, 'who_contacts.json');
+const WHO_CONTACTS_OPERATORS = ['equals', 'in', 'contains', 'startsWith', 'matches', 'exists'];
+const WHO_CONTACTS_FIELDS = ['name', 'note', 'source_name', 'financial_status', 'fulfillment_status'];
+
+async function ensureWhoContactsFile() {
+  try {
+    await fsp.access(WHO_CONTACTS_FILE, fs.constants.F_OK);
+  } catch {
+    await fsp.copyFile(WHO_CONTACTS_DEFAULT_FILE, WHO_CONTACTS_FILE);
+    console.log(`[init] Created ${WHO_CONTACTS_FILE} from ${WHO_CONTACTS_DEFAULT_FILE}`);
+  }
 }
 
-// Replace full tag set for an order
-async function updateOrderTags(orderId, tagsArray) {
-  const tags = tagsArray.join(', ');
-  await shopifyFetch(`/orders/${orderId}.json`, {
-    method: 'PUT',
-    body: { order: { id: orderId, tags } }
+function validateWhoContactsCondition(cond, where, errors) {
+  if (Array.isArray(cond)) {
+    cond.forEach((c, i) => validateWhoContactsCondition(c, `${where}[${i}]`, errors));
+    return;
+  }
+  if (!cond || typeof cond !== 'object') {
+    errors.push(`${where}: condition must be an object`);
+    return;
+  }
+  for (const group of ['all', 'any']) {
+    if (group in cond) {
+      if (!Array.isArray(cond[group]) || !cond[group].length) errors.push(`${where}.${group}: must be a non-empty array`);
+      else cond[group].forEach((c, i) => validateWhoContactsCondition(c, `${where}.${group}[${i}]`, errors));
+      return;
+    }
+  }
+  if ('not' in cond) {
+    validateWhoContactsCondition(cond.not, `${where}.not`, errors);
+    return;
+  }
+
+  const subject = String(cond.subject || '');
+  const [kind, name] = [subject.split(':')[0], subject.split(':').slice(1).join(':')];
+  if (kind === 'metafield') {
+    if (!/^[\w-]+\.[\w-]+$/.test(name)) errors.push(`${where}: "${subject}" must look like "metafield:namespace.key"`);
+  } else if (kind === 'field') {
+    if (!WHO_CONTACTS_FIELDS.includes(name)) errors.push(`${where}: unknown field "${name}" (use ${WHO_CONTACTS_FIELDS.join(', ')})`);
+  } else if (!['tag', 'supplier'].includes(subject)) {
+    errors.push(`${where}: "subject" must be metafield:<ns.key>, tag, field:<name> or supplier`);
+  }
+
+  const ops = WHO_CONTACTS_OPERATORS.filter(op => op in cond);
+  if (ops.length !== 1) {
+    errors.push(`${where}: needs exactly one of ${WHO_CONTACTS_OPERATORS.join(', ')}`);
+    return;
+  }
+  const op = ops[0];
+  if (op === 'in' && (!Array.isArray(cond.in) || !cond.in.length)) errors.push(`${where}: "in" must be a non-empty array`);
+  if (op === 'exists' && typeof cond.exists !== 'boolean') errors.push(`${where}: "exists" must be true or false`);
+  if (['equals', 'contains', 'startsWith', 'matches'].includes(op) && typeof cond[op] !== 'string') {
+    errors.push(`${where}: "${op}" must be a string`);
+  }
+  if (op === 'matches') {
+    try { new RegExp(cond.matches, 'i'); } catch (e) { errors.push(`${where}: bad regex: ${e.message}`); }
+  }
+}
+
+function validateWhoContactsRules(cfg) {
+  if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg)) return ['who_contacts.json must be an object'];
+  const errors = [];
+  if (typeof cfg.default !== 'string' || !cfg.default.trim()) errors.push('"default" contact is required');
+  if (!Array.isArray(cfg.rules)) {
+    errors.push('"rules" must be an array');
+    return errors;
+  }
+  cfg.rules.forEach((r, i) => {
+    const where = `rules[${i}]${r && r.name ? ` (${r.name})` : ''}`;
+    if (!r || typeof r !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof r.contact !== 'string' || !r.contact.trim()) errors.push(`${where}: "contact" is required`);
+    if (!('when' in r)) errors.push(`${where}: "when" is required`);
+    else validateWhoContactsCondition(r.when, `${where}.when`, errors);
   });
+  return errors;
+}
+
+// Re-read when the file changes; a broken edit keeps the last good rules (and reports it)
+const __whoContactsCache = { mtimeMs: null, rules: null, error: null };
+
+async function loadWhoContactsRules() {
+  const stat = await fsp.stat(WHO_CONTACTS_FILE);
+  if (__whoContactsCache.rules && stat.mtimeMs === __whoContactsCache.mtimeMs) return __whoContactsCache;
+
+  __whoContactsCache.mtimeMs = stat.mtimeMs;
+  let cfg;
+  try {
+    cfg = JSON.parse(await fsp.readFile(WHO_CONTACTS_FILE, 'utf8'));
+  } catch (e) {
+    cfg = null;
+    __whoContactsCache.error = `cannot parse ${WHO_CONTACTS_FILE}: ${e?.message || e}`;
+  }
+  if (cfg) {
+    const errors = validateWhoContactsRules(cfg);
+    __whoContactsCache.error = errors.length ? `invalid ${WHO_CONTACTS_FILE}:\n  - ${errors.join('\n  - ')}` : null;
+    if (!errors.length) __whoContactsCache.rules = cfg;
+  }
+  if (__whoContactsCache.error) {
+    if (!__whoContactsCache.rules) throw new Error(__whoContactsCache.error);
+    console.error(`[who_contacts] ${__whoContactsCache.error}\n  (keeping the last valid rules)`);
+  }
+  return __whoContactsCache;
+}
+
+// What the rules can look at, taken from an order context
+function whoContactsFacts(ctx, supplier = null) {
+  return {
+    metafields: ctx.metafieldMap(),
+    tags: ctx.tags,
+    fields: ctx.fields || {},
+    supplier: (supplier || '').trim() || null
+  };
+}
+
+function whoContactsSubjectValues(subject, facts) {
+  if (subject === 'tag') return facts.tags;
+  if (subject === 'supplier') return facts.supplier ? [facts.supplier] : [];
+  const [kind, ...rest] = subject.split(':');
+  const name = rest.join(':');
+  const value = kind === 'metafield' ? facts.metafields[name] : facts.fields[name];
+  const s = (value == null ? '' : String(value)).trim();
+  return s ? [s] : [];
+}
+
+// -> { matched, text } where text explains the check against this order
+function testWhoContactsCondition(cond, facts) {
+  if (Array.isArray(cond)) return testWhoContactsCondition({ all: cond }, facts);
+  if (cond.all || cond.any) {
+    const results = (cond.all || cond.any).map(c => testWhoContactsCondition(c, facts));
+    const matched = cond.all ? results.every(r => r.matched) : results.some(r => r.matched);
+    return { matched, text: `${cond.all ? 'all' : 'any'}(${results.map(r => `${r.matched ? '✓' : '✗'} ${r.text}`).join('; ')})` };
+  }
+  if (cond.not) {
+    const r = testWhoContactsCondition(cond.not, facts);
+    return { matched: !r.matched, text: `not(${r.text})` };
+  }
+
+  const values = whoContactsSubjectValues(cond.subject, facts);
+  const op = WHO_CONTACTS_OPERATORS.find(o => o in cond);
+  const test = {
+    equals: v => v === cond.equals,
+    in: v => cond.in.includes(v),
+    contains: v => v.includes(cond.contains),
+    startsWith: v => v.startsWith(cond.startsWith),
+    matches: v => new RegExp(cond.matches, 'i').test(v)
+  }[op];
+  const matched = op === 'exists' ? (values.length > 0) === cond.exists : values.some(test);
+
+  const expected = op === 'in' ? `[${cond.in.map(x => `"${x}"`).join(', ')}]` : op === 'exists' ? String(cond.exists) : `"${cond[op]}"`;
+  let actual;
+  if (cond.subject === 'tag') actual = matched && op !== 'exists' ? `tag "${values.find(test)}"` : `${values.length} tag(s)`;
+  else actual = values.length ? `"${values[0]}"` : 'empty';
+  return { matched, text: `${cond.subject} ${op} ${expected} (${actual})` };
+}
+
+// First matching rule wins -> { contact, rule, index (-1 = default), checks: [{ rule, matched, text }] }
+function evaluateWhoContacts(cfg, facts) {
+  const checks = [];
+  for (let i = 0; i < cfg.rules.length; i++) {
+    const rule = cfg.rules[i];
+    const r = testWhoContactsCondition(rule.when, facts);
+    checks.push({ rule, ...r });
+    if (r.matched) return { contact: rule.contact.trim(), rule, index: i, checks };
+  }
+  return { contact: cfg.default.trim(), rule: null, index: -1, checks };
+}
+
+// Convenience for the submit flows
+async function resolveWhoContacts(ctx, supplier = null) {
+  const { rules } = await loadWhoContactsRules();
+  return evaluateWhoContacts(rules, whoContactsFacts(ctx, supplier)).contact;
+}
+
+/* =========================
+   Order context (one read, diffed writes)
+========================= */
+const ORDER_CONTEXT_QUERY = `
+  query OrderContext($id: ID!) {
+    order(id: $id) {
+      id
+      name
+      tags
+      note
+      sourceName
+      displayFinancialStatus
+      displayFulfillmentStatus
+      metafields(first: 250) {
+        nodes { namespace key value type }
+        pageInfo { hasNextPage }
+      }
+    }
+  }
+`;
+
+// Load an order's metafields, tags and note once, stage changes locally,
+// then commit only what actually differs from what Shopify already has.
+// `audit` attributes every committed write in the audit log (see auditBase).
+async function loadOrderContext(orderId, audit = null) {
+  const data = await shopifyGraphQL(ORDER_CONTEXT_QUERY, { id: orderGid(orderId) });
+  const order = data?.order;
+  if (!order) throw new Error(`Order ${orderId} not found`);
+
+  // > 250 metafields is unusual; fall back to the paginated reader
+  const nodes = order.metafields?.pageInfo?.hasNextPage
+    ? await fetchOrderMetafieldNodes(orderId)
+    : (order.metafields?.nodes || []);
+
+  const mfKey = (namespace, key) => `${namespace}.${key}`;
+  const original = {
+    metafields: new Map(nodes.map(n => [mfKey(n.namespace, n.key), { value: n.value ?? '', type: n.type }])),
+    tags: (order.tags || []).map(t => t.trim()).filter(Boolean),
+    note: order.note || ''
+  };
+
+  // Staged state: key -> { namespace, key, value, type } or null (= delete)
+  const staged = new Map();
+  let tags = original.tags.slice();
+  let note = original.note;
+
+  const ctx = {
+    orderId,
+    name: order.name,
+    nodes,
+    // Plain order fields (as loaded) for who_contacts rules
+    fields: {
+      name: order.name || '',
+      note: original.note,
+      source_name: order.sourceName || '',
+      financial_status: order.displayFinancialStatus || '',
+      fulfillment_status: order.displayFulfillmentStatus || ''
+    },
+
+    // Current value (staged change wins over Shopify), trimmed like fetchOrderMetafields
+    getMetafield(fullKey) {
+      if (staged.has(fullKey)) {
+        const st = staged.get(fullKey);
+        return st ? String(st.value).trim() : '';
+      }
+      return (original.metafields.get(fullKey)?.value || '').toString().trim();
+    },
+
+    // Map like fetchOrderMetafields() returns, including staged changes
+    metafieldMap() {
+      const out = {};
+      for (const [k, v] of original.metafields) out[k] = (v.value || '').toString().trim();
+      for (const [k, st] of staged) {
+        if (st) out[k] = String(st.value).trim();
+        else delete out[k];
+      }
+      return out;
+    },
+
+    setMetafield(namespace, key, value, type) {
+      staged.set(mfKey(namespace, key), { namespace, key, value: String(value), type });
+    },
+
+    deleteMetafield(namespace, key) {
+      staged.set(mfKey(namespace, key), null);
+    },
+
+    get tags() { return tags.slice(); },
+    hasTag(tag) { return tags.includes(tag); },
+    addTag(tag) { if (!tags.includes(tag)) tags.push(tag); },
+    removeTag(tag) { tags = tags.filter(t => t !== tag); },
+
+    get note() { return note; },
+    setNote(value) { note = value || ''; },
+
+    // Only real differences against the loaded state
+    diff() {
+      const set = [];
+      const remove = [];
+      for (const [k, st] of staged) {
+        const before = original.metafields.get(k);
+        if (st) {
+          if (before && before.value === st.value) continue; // already correct
+          set.push({ ...st, old: before ? before.value : null, oldType: before ? before.type : null });
+        } else if (before) {
+          const [namespace, ...rest] = k.split('.');
+          remove.push({ namespace, key: rest.join('.'), old: before.value, type: before.type });
+        }
+      }
+
+      const added = tags.filter(t => !original.tags.includes(t));
+      const removed = original.tags.filter(t => !tags.includes(t));
+
+      return {
+        metafields: { set, remove },
+        tags: (added.length || removed.length) ? { added, removed, before: original.tags.slice(), after: tags.slice() } : null,
+        note: note !== original.note ? { before: original.note, after: note } : null
+      };
+    },
+
+    hasChanges() {
+      const d = ctx.diff();
+      return Boolean(d.metafields.set.length || d.metafields.remove.length || d.tags || d.note);
+    },
+
+    // Write the diff: one metafieldsSet, one metafieldsDelete, one orderUpdate (each only if needed)
+    async commit() {
+      const d = ctx.diff();
+      const auditWithOrder = { order_digits: orderNumberFromName(order.name), ...(audit || {}) };
+      await writeOrderMetafields(orderId, d.metafields, nodes, auditWithOrder);
+      if (d.tags || d.note) {
+        await updateOrder(orderId, {
+          tags: d.tags ? d.tags.after : undefined,
+          note: d.note ? d.note.after : undefined
+        }, auditWithOrder, { tags: original.tags, note: original.note });
+      }
+      return d;
+    }
+  };
+
+  return ctx;
 }
 
 /* =========================
@@ -353,143 +2143,1019 @@ const app = new App({
   processBeforeResponse: true
 });
 
-// /ping -> pong
-app.command('/ping', async ({ ack, respond, command, logger }) => {
-  await ack();
+// /ping -> pong
+app.command('/ping', async ({ ack, respond, command, logger }) => {
+  await ack();
+  try {
+    const where = command.channel_id ? `<#${command.channel_id}>` : 'here';
+    await respond({ text: `pong (${where})` });
+  } catch (e) {
+    logger.error(e);
+  }
+});
+
+// One audit entry as a single readable line
+function formatAuditLine(e) {
+  const when = (e.ts || '').replace('T', ' ').slice(0, 16);
+  const who = e.slack_user ? `<@${e.slack_user}>` : 'unknown user';
+  const invoice = [e.invoice_supplier, e.invoice_date].filter(Boolean).join(' ');
+  const fmt = (v) => (v == null ? '∅' : `"${previewValue(Array.isArray(v) ? v.join(', ') : v)}"`);
+  const change = e.action === 'metafield_delete'
+    ? `deleted \`${e.field}\` (was ${fmt(e.old)})`
+    : `\`${e.field}\`: ${fmt(e.old)} → ${fmt(e.new)}`;
+  return `${when} ${who}${invoice ? ` [${invoice}]` : ''} (${e.source || 'n/a'}) ${change}`;
+}
+
+// /invoice-audit C#1234 -> history of every Shopify change the bot made to that order
+app.command('/invoice-audit', async ({ ack, respond, command, logger }) => {
+  await ack();
+  try {
+    const arg = parseOrderArgument(command.text);
+    if (!arg) {
+      await respond({ response_type: 'ephemeral', text: `Usage: \`/invoice-audit ${orderName('1234')}\`` });
+      return;
+    }
+    const digits = arg.digits;
+    const entries = await readAuditEntries(e => e.order_digits === digits);
+    if (!entries.length) {
+      await respond({ response_type: 'ephemeral', text: `No audit entries for ${orderName(digits)}.` });
+      return;
+    }
+
+    const MAX_LINES = 40;
+    const shown = entries.slice(-MAX_LINES);
+    const header = `*Audit log for ${orderName(digits)}* — ${entries.length} change(s)` +
+      (entries.length > shown.length ? `, showing the latest ${shown.length}` : '');
+    await respond({
+      response_type: 'ephemeral',
+      text: `${header}\n${shown.map(formatAuditLine).join('\n')}`
+    });
+  } catch (e) {
+    logger.error('/invoice-audit failed:', e);
+    await respond({ response_type: 'ephemeral', text: `Audit lookup failed: ${e?.message || e}` });
+  }
+});
+
+// Parts of a snapshot as labels, with Other / Set Aside text inline
+function snapshotPartsLabels(snap) {
+  const parts = snap?.parts || {};
+  return (parts.selections || []).map(v => {
+    const text = parts.texts?.[v];
+    return text ? `${partLabel(v)}: ${text}` : partLabel(v);
+  });
+}
+
+// What changed between two snapshot versions (prev may be null for the first one)
+function describeSnapshotChange(prev, snap) {
+  const out = [];
+  const now = snapshotPartsLabels(snap);
+  if (!prev) {
+    out.push(`Parts: ${now.join(', ') || 'none'}`);
+    out.push(`Fulfillment: ${FULFILLMENT_LABELS[snap.fulfillment] || snap.fulfillment || '?'}`);
+    out.push(`Payment: ${PAYMENT_LABELS[snap.payment] || snap.payment || '?'}`);
+    return out;
+  }
+
+  const before = snapshotPartsLabels(prev);
+  const added = now.filter(x => !before.includes(x));
+  const removed = before.filter(x => !now.includes(x));
+  if (added.length || removed.length) {
+    out.push(`Parts: ${[...added.map(x => `+${x}`), ...removed.map(x => `−${x}`)].join(' ')}`);
+  }
+  if (prev.fulfillment !== snap.fulfillment) {
+    out.push(`Fulfillment: ${FULFILLMENT_LABELS[prev.fulfillment] || prev.fulfillment} → ${FULFILLMENT_LABELS[snap.fulfillment] || snap.fulfillment}`);
+  }
+  if (prev.payment !== snap.payment) {
+    out.push(`Payment: ${PAYMENT_LABELS[prev.payment] || prev.payment} → ${PAYMENT_LABELS[snap.payment] || snap.payment}`);
+  }
+  return out.length ? out : ['No selection changes'];
+}
+
+// /order-history C#1234 -> timeline of Parts / Fulfillment / Payment across reviews
+app.command('/order-history', async ({ ack, respond, command, logger }) => {
+  await ack();
+  try {
+    const arg = parseOrderArgument(command.text);
+    if (!arg) {
+      await respond({ response_type: 'ephemeral', text: `Usage: \`/order-history ${orderName('1234')}\`` });
+      return;
+    }
+    const digits = arg.digits;
+    const history = await readOrderHistory(digits);
+    if (!history.versions.length) {
+      await respond({ response_type: 'ephemeral', text: `No saved selections for ${orderName(digits)} yet.` });
+      return;
+    }
+
+    const MAX_VERSIONS = 20;
+    const start = Math.max(0, history.versions.length - MAX_VERSIONS);
+    const lines = [];
+    for (let i = start; i < history.versions.length; i++) {
+      const v = history.versions[i];
+      const prev = i > 0 ? history.versions[i - 1] : null;
+      const when = (v.saved_at || '').replace('T', ' ').slice(0, 16);
+      const who = v.saved_by ? `<@${v.saved_by}>` : 'unknown user';
+      const invoice = v.invoice && (v.invoice.supplier || v.invoice.date)
+        ? `${[v.invoice.supplier, v.invoice.date].filter(Boolean).join(' ')} Invoice`
+        : (v.source === 'single_order' ? 'single-order update' : (v.source || ''));
+      lines.push(`*v${v.version}* • ${when} • ${who}${invoice ? ` • ${invoice}` : ''}`);
+      for (const change of describeSnapshotChange(prev, v)) lines.push(`   ${change}`);
+    }
+
+    const header = `*Selection history for ${orderName(digits)}* — ${history.versions.length} version(s)` +
+      (start > 0 ? `, showing the latest ${MAX_VERSIONS}` : '');
+    await respond({ response_type: 'ephemeral', text: `${header}\n${lines.join('\n')}` });
+  } catch (e) {
+    logger.error('/order-history failed:', e);
+    await respond({ response_type: 'ephemeral', text: `History lookup failed: ${e?.message || e}` });
+  }
+});
+
+// /who-contacts C#1234 [supplier] -> which who_contacts rule matches this order and why
+app.command('/who-contacts', async ({ ack, respond, command, logger }) => {
+  await ack();
+  try {
+    const arg = parseOrderArgument(command.text);
+    if (!arg) {
+      await respond({ response_type: 'ephemeral', text: `Usage: \`/who-contacts ${orderName('1234')} [supplier]\`` });
+      return;
+    }
+    const digits = arg.digits;
+    const supplier = arg.rest || null;
+
+    const { rules, error } = await loadWhoContactsRules();
+    const order = await findOrderByName(digits);
+    const ctx = await loadOrderContext(order.id);
+    const result = evaluateWhoContacts(rules, whoContactsFacts(ctx, supplier));
+
+    const lines = [`*who_contacts for ${orderName(digits)}* → *${result.contact}*` + (supplier ? ` (supplier: ${supplier})` : '')];
+    result.checks.forEach((c, i) => {
+      lines.push(`${c.matched ? '✅' : '▫️'} ${i + 1}. ${c.rule.name || 'Rule'} → ${c.rule.contact}: ${c.text}`);
+    });
+    if (result.index === -1) lines.push(`No rule matched, using the default (${rules.default}).`);
+    const current = ctx.getMetafield('custom.who_contacts');
+    if (current && current !== result.contact) lines.push(`Currently on the order: ${current}`);
+    if (error) lines.push(`⚠️ ${WHO_CONTACTS_FILE} has errors; the last valid rules were used:\n${error}`);
+
+    await respond({ response_type: 'ephemeral', text: lines.join('\n') });
+  } catch (e) {
+    logger.error('/who-contacts failed:', e);
+    await respond({ response_type: 'ephemeral', text: `who_contacts lookup failed: ${e?.message || e}` });
+  }
+});
+
+// /suppliers list | add | remove | rename | alias | unalias | tag | arranged
+const SUPPLIERS_USAGE = [
+  'Usage:',
+  '• `/suppliers list`',
+  '• `/suppliers add <name>` • `/suppliers remove <supplier>`',
+  '• `/suppliers rename <supplier> -> <new name>` (the old name stays as an alias)',
+  '• `/suppliers alias <supplier> -> <alias>` • `/suppliers unalias <supplier> -> <alias>`',
+  '• `/suppliers tag <supplier> -> <PartsSupplier_ tag>`',
+  '• `/suppliers arranged <supplier> -> <_nc_arranged_with value>`'
+].join('\n');
+
+function formatSupplierProfile(p) {
+  const aliases = p.aliases.length ? ` • aliases: ${p.aliases.join(', ')}` : '';
+  return `• *${p.name}* (\`${p.id}\`) — tag \`${p.tag}\` • arranged with "${p.arrangedWith}"${aliases}`;
+}
+
+app.command('/suppliers', async ({ ack, respond, command, logger }) => {
+  await ack();
+  const reply = (text) => respond({ response_type: 'ephemeral', text });
+  try {
+    const text = (command.text || '').trim();
+    const [, word = 'list', rest = ''] = text.match(/^(\S+)?\s*([\s\S]*)$/) || [];
+    const sub = word.toLowerCase();
+    const arg = rest.trim();
+    const pair = arg.match(/^(.+?)\s*(?:->|→|=>)\s*(.+)$/);
+    const [target, value] = pair ? [pair[1].trim(), pair[2].trim()] : [arg, ''];
+
+    // Find the profile `target` names (by name, id, alias, tag or arranged-with value)
+    const pick = (list) => {
+      const found = findSupplierProfile(list, target);
+      if (!found) throw new Error(`No supplier matches "${target}".`);
+      return found;
+    };
+    const save = async (change, message) => {
+      await updateSuppliers(change);
+      logger.info(`[suppliers] ${command.user_id}: ${sub} ${arg}`);
+      await reply(message);
+    };
+
+    if (sub === 'list') {
+      const list = await loadSupplierProfiles();
+      await reply(list.length
+        ? `*Suppliers (${list.length})*\n${list.map(formatSupplierProfile).join('\n')}`
+        : 'No suppliers yet. Add one with `/suppliers add <name>`.');
+      return;
+    }
+
+    if (sub === 'add' && arg) {
+      await save(list => {
+        const existing = findSupplierProfile(list, arg);
+        if (existing) throw new Error(`"${arg}" already matches supplier "${existing.name}".`);
+        if (list.length >= MAX_SUPPLIERS) throw new Error(`The list is full (${MAX_SUPPLIERS} suppliers max).`);
+        return [...list, { name: arg }];
+      }, `✅ Added *${arg}* (tag \`${supplierTagName(arg.replace(/\s+/g, ''))}\`, arranged with "${arg}").`);
+      return;
+    }
+
+    if (sub === 'remove' && arg) {
+      let removed = null;
+      await save(list => {
+        removed = pick(list);
+        return list.filter(p => p !== removed);
+      }, `🗑️ Removed *${target}*.`);
+      return;
+    }
+
+    if (sub === 'rename' && pair) {
+      await save(list => {
+        const profile = pick(list);
+        return list.map(p => (p !== profile ? p : {
+          ...p,
+          name: value,
+          aliases: [...p.aliases, p.name].filter(a => supplierKey(a) !== supplierKey(value))
+        }));
+      }, `✏️ Renamed *${target}* → *${value}* (old name kept as an alias).`);
+      return;
+    }
+
+    if (sub === 'alias' && pair) {
+      await save(list => {
+        const profile = pick(list);
+        return list.map(p => (p !== profile ? p : { ...p, aliases: [...p.aliases, value] }));
+      }, `✅ "${value}" now matches *${target}*.`);
+      return;
+    }
+
+    if (sub === 'unalias' && pair) {
+      await save(list => {
+        const profile = pick(list);
+        if (!profile.aliases.some(a => supplierKey(a) === supplierKey(value))) {
+          throw new Error(`"${value}" is not an alias of "${profile.name}".`);
+        }
+        return list.map(p => (p !== profile ? p : { ...p, aliases: p.aliases.filter(a => supplierKey(a) !== supplierKey(value)) }));
+      }, `🗑️ Removed alias "${value}" from *${target}*.`);
+      return;
+    }
+
+    if (sub === 'tag' && pair) {
+      await save(list => {
+        const profile = pick(list);
+        return list.map(p => (p !== profile ? p : { ...p, tag: supplierTagName(value) }));
+      }, `✅ *${target}* now uses tag \`${supplierTagName(value)}\`.`);
+      return;
+    }
+
+    if (sub === 'arranged' && pair) {
+      await save(list => {
+        const profile = pick(list);
+        return list.map(p => (p !== profile ? p : { ...p, arrangedWith: value }));
+      }, `✅ *${target}* now matches \`_nc_arranged_with\` value "${value}".`);
+      return;
+    }
+
+    await reply(SUPPLIERS_USAGE);
+  } catch (e) {
+    logger.error('/suppliers failed:', e);
+    await reply(`⚠️ ${e?.message || e}`);
+  }
+});
+
+// /invoice-status [all | <supplier> | <date> | <invoice number>] -> open invoices, and whether their review was submitted
+const INVOICE_STATUS_ICONS = { updated: '✅', failed: '❌', pending: '⏳' };
+
+function formatInvoiceStatusLine(record) {
+  const { counts, submitted } = summarizeInvoiceRecord(record);
+  const total = Object.keys(record.orders || {}).length;
+  const parts = [
+    `✅ ${counts.updated} updated`,
+    counts.failed ? `❌ ${counts.failed} failed` : null,
+    counts.pending ? `⏳ ${counts.pending} pending` : null
+  ].filter(Boolean).join(' • ');
+  const notSubmitted = submitted ? '' : ' — *review not submitted yet*';
+  const who = record.created_by ? ` by <@${record.created_by}>` : '';
+  return `• *${invoiceLabel(record.supplier, record.date)}*` +
+    `${record.date_iso ? ` (${record.date_iso})` : ''}${record.invoice_number ? ` #${record.invoice_number}` : ''}${who} — ${total} order(s): ${parts}${notSubmitted} — <${invoiceThreadLink(record)}|thread>`;
+}
+
+function formatInvoiceStatusDetail(record) {
+  const lines = [formatInvoiceStatusLine(record)];
+  const last = record.submissions[record.submissions.length - 1];
+  const submitted = last
+    ? `Last submitted${last.by ? ` by <@${last.by}>` : ''} ${String(last.at).replace('T', ' ').slice(0, 16)}`
+    : '*Not submitted*';
+  const orders = record.order_digits.map(d => {
+    const o = record.orders[d] || {};
+    return `${orderName(d)} ${INVOICE_STATUS_ICONS[o.status] || '?'}${o.status === 'failed' && o.error ? ` (${previewValue(o.error)})` : ''}`;
+  }).join(', ');
+  lines.push(`   ${submitted} — ${orders}`);
+  if (record.not_found?.length) lines.push(`   ⚠️ Not found: ${record.not_found.map(d => orderName(d)).join(', ')}`);
+  return lines.join('\n');
+}
+
+app.command('/invoice-status', async ({ ack, respond, command, logger }) => {
+  await ack();
+  try {
+    const arg = (command.text || '').trim();
+    const records = await listInvoiceRecords();
+
+    if (!arg || arg.toLowerCase() === 'all') {
+      const MAX_LIST = 15;
+      const shown = arg ? records : records.filter(r => r.status === 'open');
+      if (!shown.length) {
+        await respond({ response_type: 'ephemeral', text: arg ? 'No invoices recorded yet.' : 'No open invoices 🎉' });
+        return;
+      }
+      const header = `*${arg ? 'Invoices' : 'Open invoices'} (${shown.length})*` +
+        (shown.length > MAX_LIST ? `, showing the latest ${MAX_LIST}` : '');
+      await respond({
+        response_type: 'ephemeral',
+        text: `${header}\n${shown.slice(0, MAX_LIST).map(formatInvoiceStatusLine).join('\n')}`
+      });
+      return;
+    }
+
+    // Filter by supplier (any spelling of its profile), invoice date or supplier invoice number
+    const profile = findSupplierProfile(await loadSupplierProfiles(), arg);
+    const date = parseInvoiceDate(arg);
+    const matches = records.filter(r =>
+      (profile ? supplierMatches(profile, r.supplier) : supplierKey(r.supplier) === supplierKey(arg)) ||
+      (date && (r.date_iso === date.iso || r.date === date.display)) ||
+      (r.invoice_number && normalizeInvoiceNumber(r.invoice_number) === normalizeInvoiceNumber(arg))
+    );
+    if (!matches.length) {
+      await respond({ response_type: 'ephemeral', text: `No invoices match "${arg}".` });
+      return;
+    }
+
+    const MAX_DETAIL = 5;
+    await respond({
+      response_type: 'ephemeral',
+      text: `*Invoices matching "${arg}" (${matches.length})*` +
+        (matches.length > MAX_DETAIL ? `, showing the latest ${MAX_DETAIL}` : '') +
+        `\n${matches.slice(0, MAX_DETAIL).map(formatInvoiceStatusDetail).join('\n')}`
+    });
+  } catch (e) {
+    logger.error('/invoice-status failed:', e);
+    await respond({ response_type: 'ephemeral', text: `Invoice status lookup failed: ${e?.message || e}` });
+  }
+});
+
+// /invoice-report <supplier|all> <from> <to> (or <supplier|all> <YYYY-MM>) -> CSV of the orders each
+// invoice was applied to, built from local data only: the ledger says what was applied and when,
+// invoice records give the customer, the snapshot saved with that invoice gives the selections,
+// and who_contacts comes from the snapshot or, for older ones, the audit log.
+const INVOICE_REPORT_COLUMNS = ['order', 'customer', 'supplier', 'invoice date', 'parts', 'fulfillment', 'payment', 'who_contacts'];
+
+function parseInvoiceReportArgs(text) {
+  const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const month = tokens.length >= 2 && tokens[tokens.length - 1].match(/^(\d{4})-(\d{1,2})$/);
+  if (month) {
+    const y = Number(month[1]);
+    const m = Number(month[2]);
+    if (m < 1 || m > 12) return null;
+    const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const mm = String(m).padStart(2, '0');
+    return { supplier: tokens.slice(0, -1).join(' '), from: `${y}-${mm}-01`, to: `${y}-${mm}-${lastDay}` };
+  }
+  if (tokens.length < 3) return null;
+  const from = parseInvoiceDate(tokens[tokens.length - 2]);
+  const to = parseInvoiceDate(tokens[tokens.length - 1]);
+  if (!from || !to) return null;
+  return from.iso <= to.iso
+    ? { supplier: tokens.slice(0, -2).join(' '), from: from.iso, to: to.iso }
+    : { supplier: tokens.slice(0, -2).join(' '), from: to.iso, to: from.iso };
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// -> { rows: [[...INVOICE_REPORT_COLUMNS]] }
+async function buildInvoiceReportRows({ supplier, from, to }) {
+  const profiles = await loadSupplierProfiles();
+  const profile = supplier.toLowerCase() === 'all' ? null : findSupplierProfile(profiles, supplier);
+  const supplierOk = (name) => supplier.toLowerCase() === 'all' ||
+    (profile ? supplierMatches(profile, name) : supplierKey(name) === supplierKey(supplier));
+
+  const applications = Object.values(await readInvoiceApplications()).filter(a =>
+    supplierOk(a.invoice_supplier) && a.invoice_date_iso >= from && a.invoice_date_iso <= to);
+  applications.sort((a, b) =>
+    a.invoice_date_iso.localeCompare(b.invoice_date_iso) ||
+    String(a.invoice_supplier).localeCompare(String(b.invoice_supplier)) ||
+    Number(a.order_digits) - Number(b.order_digits));
+
+  // Customer names from the invoice records of the same supplier + date, and when each order was
+  // last reverted (from the invoice record or the revert record itself)
+  const customers = new Map();
+  const revertedAt = new Map();
+  const noteReverted = (key, at) => {
+    if (at && !(revertedAt.get(key) >= at)) revertedAt.set(key, at);
+  };
+  for (const r of await listInvoiceRecords()) {
+    if (!r.date_iso || r.date_iso < from || r.date_iso > to || !supplierOk(r.supplier)) continue;
+    for (const [digits, o] of Object.entries(r.orders || {})) {
+      const key = `${supplierKey(r.supplier)}|${r.date_iso}|${digits}`;
+      if (o.customer_name && !customers.has(key)) customers.set(key, o.customer_name);
+      noteReverted(key, o.reverted_at);
+    }
+  }
+  for (const r of await listRevertRecords()) {
+    if (!supplierOk(r.invoiceSupplier)) continue;
+    for (const o of r.orders || []) {
+      if (o.status === 'restored') noteReverted(`${supplierKey(r.invoiceSupplier)}|${r.invoiceDateIso}|${o.digits}`, o.attempted_at || r.reverted_at);
+    }
+  }
+  // Applied again after the revert counts; the ledger entry is rewritten then
+  const isReverted = (a) =>
+    revertedAt.get(`${supplierKey(a.invoice_supplier)}|${a.invoice_date_iso}|${a.order_digits}`) >= a.applied_at;
+
+  // who_contacts values at the time, for snapshots saved before they recorded it
+  const digitsSet = new Set(applications.map(a => String(a.order_digits)));
+  const whoChanges = digitsSet.size
+    ? await readAuditEntries(e => e.field === 'custom.who_contacts' && digitsSet.has(String(e.order_digits)))
+    : [];
+
+  const rows = [];
+  for (const a of applications) {
+    if (isReverted(a)) continue;
+    const digits = String(a.order_digits);
+    const history = await readOrderHistory(digits);
+    const snap = history.versions.slice().reverse().find(v =>
+      v.invoice && supplierKey(v.invoice.supplier) === supplierKey(a.invoice_supplier) &&
+      (v.invoice.date_iso ? v.invoice.date_iso === a.invoice_date_iso : v.invoice.date === a.invoice_date)
+    );
+    const whoContacts = snap?.who_contacts ??
+      whoChanges.filter(e => String(e.order_digits) === digits && e.ts <= a.applied_at).pop()?.new ??
+      '';
+    rows.push([
+      orderName(digits),
+      customers.get(`${supplierKey(a.invoice_supplier)}|${a.invoice_date_iso}|${digits}`) || '',
+      a.invoice_supplier,
+      a.invoice_date_iso,
+      snap ? snapshotPartsLabels(snap).join('; ') : '',
+      snap ? (FULFILLMENT_LABELS[snap.fulfillment] || snap.fulfillment || '') : '',
+      snap ? (PAYMENT_LABELS[snap.payment] || snap.payment || '') : '',
+      whoContacts
+    ]);
+  }
+  return { rows };
+}
+
+app.command('/invoice-report', async ({ ack, respond, command, client, logger }) => {
+  await ack();
+  try {
+    const args = parseInvoiceReportArgs(command.text);
+    if (!args || !args.supplier) {
+      await respond({
+        response_type: 'ephemeral',
+        text: 'Usage: `/invoice-report <supplier|all> <from> <to>` (e.g. `/invoice-report OHC 2025-10-01 2025-10-31`) ' +
+          'or `/invoice-report <supplier|all> <YYYY-MM>`'
+      });
+      return;
+    }
+
+    const { rows } = await buildInvoiceReportRows(args);
+    if (!rows.length) {
+      await respond({
+        response_type: 'ephemeral',
+        text: `No invoiced orders for ${args.supplier} between ${args.from} and ${args.to}.`
+      });
+      return;
+    }
+
+    const csv = [INVOICE_REPORT_COLUMNS, ...rows].map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    const invoices = new Set(rows.map(r => `${r[2]}|${r[3]}`)).size;
+    const title = `Invoice report — ${args.supplier} ${args.from} → ${args.to}`;
+
+    // Parent message, then the CSV in its thread
+    const parent = await client.chat.postMessage({
+      channel: command.channel_id,
+      text: `*${title}*\n${rows.length} order(s) across ${invoices} invoice(s) • requested by <@${command.user_id}>`
+    });
+    const fileSupplier = args.supplier.toLowerCase() === 'all' ? 'all' : supplierKey(args.supplier);
+    await client.files.uploadV2({
+      channel_id: command.channel_id,
+      thread_ts: parent.ts,
+      filename: `invoice-report-${fileSupplier}-${args.from}-to-${args.to}.csv`,
+      title,
+      content: csv
+    });
+  } catch (e) {
+    logger.error('/invoice-report failed:', e);
+    await respond({ response_type: 'ephemeral', text: `Invoice report failed: ${e?.message || e}` });
+  }
+});
+
+// The /invoice-review collect modal. prefill (all optional):
+//   supplier, dateText, invoiceNumber, ordersText — field values
+//   note, sourceFile — set when the form was filled from an invoice file; `note` summarizes what it yielded
+//   candidates — { supplier, status: 'loading' | 'ready', orders: [{ digits, label }], checked, truncated, error }:
+//     open orders for the chosen supplier, shown pre-checked (checked = digits still ticked; default all)
+function buildInvoiceReviewView({ channel, user, suppliers, prefill = {} }) {
+  const supplierOptions = suppliers.map(name => ({
+    text: { type: 'plain_text', text: name },
+    value: name
+  }));
+  const initialSupplier = supplierOptions.find(o => o.value === prefill.supplier);
+  const cand = prefill.candidates;
+
+  const candidateBlocks = [];
+  if (cand?.status === 'loading') {
+    candidateBlocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `⏳ Looking up open ${cand.supplier} orders…` }] });
+  } else if (cand?.error) {
+    candidateBlocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `⚠️ Couldn't load open ${cand.supplier} orders: ${cand.error}` }] });
+  } else if (cand && !cand.orders.length) {
+    candidateBlocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `No open arranged ${cand.supplier} orders without Incoming_Yes.` }] });
+  } else if (cand) {
+    const checked = new Set(cand.checked || cand.orders.map(o => o.digits));
+    for (let i = 0; i < cand.orders.length; i += 10) {
+      const options = cand.orders.slice(i, i + 10).map(o => ({
+        text: { type: 'plain_text', text: o.label.slice(0, 75) },
+        value: o.digits
+      }));
+      const initial = options.filter(o => checked.has(o.value));
+      candidateBlocks.push({
+        type: 'input',
+        block_id: `candidate_orders_block_${i / 10}`,
+        optional: true,
+        label: {
+          type: 'plain_text',
+          text: i === 0
+            ? `Open ${cand.supplier} orders — uncheck any not on the invoice`
+            : `More ${cand.supplier} orders (${i + 1}–${i + options.length})`
+        },
+        element: {
+          type: 'checkboxes',
+          action_id: 'candidate_orders_select',
+          options,
+          ...(initial.length ? { initial_options: initial } : {})
+        }
+      });
+    }
+    if (cand.truncated) {
+      candidateBlocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `Showing the first ${CANDIDATE_ORDERS_MAX}; paste any others below.` }] });
+    }
+  }
+
+  return {
+    type: 'modal',
+    callback_id: 'invoice_review_collect_orders',
+    title: { type: 'plain_text', text: 'Invoice Review' },
+    submit: { type: 'plain_text', text: 'Confirm' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    private_metadata: JSON.stringify({
+      channel,
+      user,
+      sourceFile: prefill.sourceFile || null,
+      // the candidate orders themselves are read back from the checkbox blocks
+      candidates: cand && cand.status !== 'loading'
+        ? { supplier: cand.supplier, truncated: Boolean(cand.truncated), error: cand.error || null }
+        : null
+    }),
+    blocks: [
+      ...(prefill.note ? [{ type: 'section', block_id: 'invoice_file_note', text: { type: 'mrkdwn', text: prefill.note.slice(0, 3000) } }] : []),
+      {
+        type: 'input',
+        block_id: 'supplier_block',
+        optional: true, // required unless a file is attached; checked on submit
+        dispatch_action: true, // choosing a supplier loads its open orders (supplier_select action)
+        label: { type: 'plain_text', text: 'Supplier' },
+        element: {
+          type: 'static_select',
+          action_id: 'supplier_select',
+          placeholder: { type: 'plain_text', text: supplierOptions.length ? 'Select a supplier' : 'No suppliers found' },
+          options: supplierOptions.length
+            ? supplierOptions
+            : [{ text: { type: 'plain_text', text: '— No suppliers configured —' }, value: 'NO_SUPPLIERS' }],
+          ...(initialSupplier ? { initial_option: initialSupplier } : {})
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'invoice_date_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Invoice Date' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'invoice_date_input',
+          multiline: false,
+          placeholder: { type: 'plain_text', text: 'e.g. 10-23, 8/6, Oct 23 or 2025-10-23' },
+          ...(prefill.dateText ? { initial_value: prefill.dateText } : {})
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'invoice_number_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Invoice Number' },
+        hint: { type: 'plain_text', text: "The supplier's invoice number; a number already reviewed for this supplier is refused." },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'invoice_number_input',
+          multiline: false,
+          placeholder: { type: 'plain_text', text: 'e.g. INV-10482' },
+          ...(prefill.invoiceNumber ? { initial_value: prefill.invoiceNumber } : {})
+        }
+      },
+      ...candidateBlocks,
+      {
+        type: 'input',
+        block_id: 'orders_block',
+        optional: true,
+        label: { type: 'plain_text', text: cand?.orders?.length ? 'Other order numbers (one per line)' : 'Paste order numbers (one per line)' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'orders_input',
+          multiline: true,
+          placeholder: { type: 'plain_text', text: `e.g.\n${orderName('1234')}\n${orderName('1235')}\n${orderName('1236')}` },
+          ...(prefill.ordersText ? { initial_value: prefill.ordersText } : {})
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'invoice_file_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Or attach the supplier invoice' },
+        hint: { type: 'plain_text', text: 'CSV, XLSX or text PDF. Confirm reads it and fills in the fields above for you to check.' },
+        element: {
+          type: 'file_input',
+          action_id: 'invoice_file_input',
+          filetypes: INVOICE_FILE_TYPES,
+          max_files: 1
+        }
+      }
+    ]
+  };
+}
+
+// Form values merged with a file scan: what was typed wins, file orders are appended after typed ones
+function invoiceFilePrefill(scan, typed = {}) {
+  const typedOrders = String(typed.ordersText || '').trim();
+  const known = new Set(parseOrderLines(typedOrders).digits);
+  const fileOrders = scan.digits.filter(d => !known.has(d)).map(d => orderName(d));
+  return {
+    supplier: typed.supplier || scan.supplier || '',
+    dateText: typed.dateText || scan.date?.iso || '',
+    invoiceNumber: typed.invoiceNumber || scan.number || '',
+    ordersText: [typedOrders, ...fileOrders].filter(Boolean).join('\n'),
+    note: describeInvoiceFileScan(scan),
+    sourceFile: scan.file
+  };
+}
+
+// What has been entered in the collect modal so far (block_actions and view_submission carry the same view).
+// Candidate orders come back from the checkbox blocks; `checked` is what is still ticked.
+function readInvoiceReviewState(view) {
+  const values = view.state?.values || {};
+  const md = JSON.parse(view.private_metadata || '{}');
+  const candidateBlocks = (view.blocks || []).filter(b => String(b.block_id || '').startsWith('candidate_orders_block_'));
+  const candidates = md.candidates
+    ? {
+        ...md.candidates,
+        status: 'ready',
+        orders: candidateBlocks.flatMap(b => b.element.options.map(o => ({ digits: o.value, label: o.text.text }))),
+        checked: candidateBlocks.flatMap(b => (values[b.block_id]?.candidate_orders_select?.selected_options || []).map(o => o.value))
+      }
+    : null;
+  return {
+    md,
+    typed: {
+      supplier: values.supplier_block?.supplier_select?.selected_option?.value || '',
+      dateText: (values.invoice_date_block?.invoice_date_input?.value || '').trim(),
+      invoiceNumber: (values.invoice_number_block?.invoice_number_input?.value || '').trim(),
+      ordersText: values.orders_block?.orders_input?.value || ''
+    },
+    note: (view.blocks || []).find(b => b.block_id === 'invoice_file_note')?.text?.text || '',
+    candidates,
+    file: values.invoice_file_block?.invoice_file_input?.files?.[0] || null
+  };
+}
+
+// /invoice-review -> open modal to collect a list of order numbers
+app.command('/invoice-review', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: buildInvoiceReviewView({
+        channel: body.channel_id,
+        user: body.user_id,
+        suppliers: await loadSuppliers()
+      })
+    });
+  } catch (e) {
+    logger.error('open /invoice-review modal failed:', e);
+  }
+});
+
+// Supplier chosen in the collect modal -> list its open arranged orders as pre-checked checkboxes.
+// Two updates: a "looking up" placeholder right away, then the orders; a hash conflict means the
+// reviewer picked another supplier meanwhile, and that newer lookup wins.
+app.action('supplier_select', async ({ ack, body, client, logger, action }) => {
+  await ack();
+  if (body.view?.callback_id !== 'invoice_review_collect_orders') return;
+  const state = readInvoiceReviewState(body.view);
+  const supplier = action.selected_option?.value || '';
+  const suppliers = await loadSuppliers();
+  const render = (candidates) => buildInvoiceReviewView({
+    channel: state.md.channel,
+    user: state.md.user,
+    suppliers,
+    prefill: { ...state.typed, supplier, note: state.note, sourceFile: state.md.sourceFile, candidates }
+  });
+
+  try {
+    const profile = findSupplierProfile(await loadSupplierProfiles(), supplier);
+    if (!profile) {
+      await client.views.update({ view_id: body.view.id, hash: body.view.hash, view: render(null) });
+      return;
+    }
+    const loading = await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: render({ supplier: profile.name, status: 'loading' })
+    });
+
+    let candidates;
+    try {
+      const { orders, truncated } = await findCandidateOrders(profile);
+      candidates = {
+        supplier: profile.name,
+        status: 'ready',
+        orders: orders.map(o => ({ digits: o.digits, label: `${orderName(o.digits)} — ${o.customerName}` })),
+        truncated
+      };
+    } catch (e) {
+      logger.error(`candidate orders for ${profile.name} failed:`, e);
+      candidates = { supplier: profile.name, status: 'ready', orders: [], error: e?.message || String(e) };
+    }
+    // Inputs keep what was typed meanwhile (same block_id / action_id)
+    await client.views.update({ view_id: body.view.id, hash: loading.view.hash, view: render(candidates) });
+  } catch (e) {
+    if (e?.data?.error === 'hash_conflict') return;
+    logger.error('supplier_select update failed:', e);
+  }
+});
+
+// Generic error logger
+app.error((e) => {
+  console.error('⚠️ Bolt error:', e?.message || e);
+});
+
+/* =========================
+   Message Listener (FlowBot orders in WATCH_CHANNEL_ID)
+========================= */
+
+// Remember recently handled messages so Slack retries / redeliveries don't double-post
+const __seenFlowbotMessages = new Set();
+const __SEEN_FLOWBOT_MAX = 500;
+
+function markFlowbotMessageSeen(key) {
+  if (__seenFlowbotMessages.has(key)) return false;
+  __seenFlowbotMessages.add(key);
+  if (__seenFlowbotMessages.size > __SEEN_FLOWBOT_MAX) {
+    // Sets iterate in insertion order -> drop the oldest entry
+    __seenFlowbotMessages.delete(__seenFlowbotMessages.values().next().value);
+  }
+  return true;
+}
+
+// FlowBot sometimes puts the order in attachments instead of the top-level text
+function flowbotMessageText(message) {
+  const parts = [message.text || ''];
+  for (const a of (message.attachments || [])) {
+    parts.push(a.pretext || '', a.title || '', a.text || '', a.fallback || '');
+  }
+  return parts.join('\n');
+}
+
+function isFromFlowBot(message) {
+  if (FLOWBOT_USER_ID) {
+    return message.user === FLOWBOT_USER_ID || message.bot_id === FLOWBOT_USER_ID;
+  }
+  return (
+    message?.bot_profile?.name === 'FlowBot' ||
+    message?.bot_profile?.display_name === 'FlowBot' ||
+    message?.username === 'FlowBot'
+  );
+}
+
+// One-line-per-field order summary for the thread reply
+function buildOrderSummaryLines(order, supplierProfiles = []) {
+  const tags = (order.tags || '').split(',').map(t => t.trim()).filter(Boolean);
+  const suppliers = partsSuppliersFromTags(tags, supplierProfiles);
+  return [
+    `*Order ${order.name}* — *${customerNameFromOrder(order) || 'Unknown'}*`,
+    `Total: ${order.total_price ?? '?'} ${order.currency || ''}`.trim(),
+    `Payment: ${order.financial_status || 'unknown'} • Fulfillment: ${order.fulfillment_status || 'unfulfilled'}`,
+    suppliers.length ? `Parts suppliers: ${suppliers.join(', ')}` : null
+  ].filter(Boolean);
+}
+
+app.message(async ({ message, context, client, logger }) => {
+  try {
+    if (!WATCH_CHANNEL_ID || message.channel !== WATCH_CHANNEL_ID) return;
+
+    // Ignore edits, deletes, joins, etc. FlowBot posts arrive with no subtype or as bot_message.
+    if (message.subtype && message.subtype !== 'bot_message') return;
+    if (message.hidden) return;
+
+    // Ignore thread replies (including our own order summaries)
+    if (message.thread_ts && message.thread_ts !== message.ts) return;
+
+    // Ignore our own bot echoes
+    if ((context.botId && message.bot_id === context.botId) ||
+        (context.botUserId && message.user === context.botUserId)) return;
+
+    if (!isFromFlowBot(message)) return;
+
+    const orderDigits = Array.from(new Set(
+      findOrderNumbers(flowbotMessageText(message))
+    ));
+    if (!orderDigits.length) return;
+
+    if (!markFlowbotMessageSeen(`${message.channel}:${message.ts}`)) return;
+
+    for (const digits of orderDigits) {
+      let order;
+      try {
+        order = await findOrderByName(digits);
+      } catch (err) {
+        logger.error(`FlowBot order ${orderName(digits)} lookup failed:`, err);
+        await client.chat.postMessage({
+          channel: message.channel,
+          thread_ts: message.ts,
+          text: `Order ${orderName(digits)} not found in Shopify.`
+        });
+        continue;
+      }
+
+      const summaryLines = buildOrderSummaryLines(order, await loadSupplierProfiles());
+      await client.chat.postMessage({
+        channel: message.channel,
+        thread_ts: message.ts,
+        text: `Order ${orderName(digits)} Found - ${customerNameFromOrder(order) || 'Unknown'}`,
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text: summaryLines.join('\n') } },
+          {
+            type: 'actions',
+            elements: [
+              {
+                type: 'button',
+                text: { type: 'plain_text', text: 'Update Metafields', emoji: true },
+                action_id: 'open_update_modal',
+                value: JSON.stringify({
+                  orderDigits: digits,
+                  orderId: order.id,
+                  channel: message.channel,
+                  thread_ts: message.ts
+                })
+              }
+            ]
+          }
+        ]
+      });
+    }
+  } catch (e) {
+    logger.error('FlowBot message handler error:', e);
+  }
+});
+
+
+/* =========================
+   Invoice file drops (INVOICE_CHANNEL_ID)
+========================= */
+// A CSV / XLSX / PDF shared in the invoice channel is scanned right away; the uploader gets
+// an ephemeral summary with a button that opens /invoice-review pre-filled from the file.
+app.message(async ({ message, client, logger }) => {
   try {
-    const where = command.channel_id ? `<#${command.channel_id}>` : 'here';
-    await respond({ text: `pong (${where})` });
+    if (!INVOICE_CHANNEL_ID || message.channel !== INVOICE_CHANNEL_ID) return;
+    if (message.subtype !== 'file_share' || message.bot_id || !message.user) return;
+
+    const file = (message.files || []).find(f => invoiceFileKind(f));
+    if (!file) return;
+
+    let scan;
+    try {
+      scan = await readInvoiceFile(client, file, await loadSupplierProfiles());
+    } catch (e) {
+      logger.error('invoice file drop read failed:', e);
+      await client.chat.postEphemeral({
+        channel: message.channel,
+        user: message.user,
+        text: `Couldn't read ${file.name || 'that file'} as an invoice: ${e?.message || e}`
+      });
+      return;
+    }
+    if (!scan.digits.length) {
+      await client.chat.postEphemeral({
+        channel: message.channel,
+        user: message.user,
+        text: `No order numbers found in ${scan.file.name}.\n${describeInvoiceFileScan(scan)}`
+      });
+      return;
+    }
+
+    const scanId = storeInvoiceFileScan({ ...scan, channel: message.channel });
+    const summary = describeInvoiceFileScan(scan);
+    await client.chat.postEphemeral({
+      channel: message.channel,
+      user: message.user,
+      text: summary,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: summary.slice(0, 3000) } },
+        {
+          type: 'actions',
+          elements: [
+            {
+              type: 'button',
+              text: { type: 'plain_text', text: 'Start invoice review', emoji: true },
+              style: 'primary',
+              action_id: 'open_invoice_review_from_file',
+              value: JSON.stringify({ scanId })
+            }
+          ]
+        }
+      ]
+    });
   } catch (e) {
-    logger.error(e);
+    logger.error('invoice file drop handler error:', e);
   }
 });
 
-// /invoice-review -> open modal to collect a list of order numbers
-app.command('/invoice-review', async ({ ack, body, client, logger }) => {
+app.action('open_invoice_review_from_file', async ({ ack, body, client, respond, logger, action }) => {
   await ack();
   try {
-    // Load suppliers and build dropdown options
-    const suppliers = await loadSuppliers();
-    const supplierOptions = suppliers.map(name => ({
-      text: { type: 'plain_text', text: name },
-      value: name
-    }));
-
+    const { scanId } = JSON.parse(action.value || '{}');
+    const scan = __invoiceFileScans.get(scanId);
+    if (!scan) {
+      await respond({ response_type: 'ephemeral', replace_original: false, text: 'This file scan has expired — share the invoice again.' });
+      return;
+    }
     await client.views.open({
       trigger_id: body.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: 'invoice_review_collect_orders',
-        title: { type: 'plain_text', text: 'Invoice Review' },
-        submit: { type: 'plain_text', text: 'Confirm' },
-        close: { type: 'plain_text', text: 'Cancel' },
-        private_metadata: JSON.stringify({
-          channel: body.channel_id,
-          user: body.user_id
-        }),
-        blocks: [
-          {
-            type: 'input',
-            block_id: 'supplier_block',
-            label: { type: 'plain_text', text: 'Supplier' },
-            element: {
-              type: 'static_select',
-              action_id: 'supplier_select',
-              placeholder: { type: 'plain_text', text: supplierOptions.length ? 'Select a supplier' : 'No suppliers found' },
-              options: supplierOptions.length
-                ? supplierOptions
-                : [{ text: { type: 'plain_text', text: '— No suppliers configured —' }, value: 'NO_SUPPLIERS' }]
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'invoice_date_block',
-            label: { type: 'plain_text', text: 'Invoice Date' },
-            element: {
-              type: 'plain_text_input',
-              action_id: 'invoice_date_input',
-              multiline: false,
-              placeholder: { type: 'plain_text', text: 'e.g. 10-23 or 8-6, etc.' }
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'orders_block',
-            label: { type: 'plain_text', text: 'Paste order numbers (one per line)' },
-            element: {
-              type: 'plain_text_input',
-              action_id: 'orders_input',
-              multiline: true,
-              placeholder: { type: 'plain_text', text: 'e.g.\nC#1234\nC#1235\nC#1236' }
-            }
-          }
-        ]
-      }
+      view: buildInvoiceReviewView({
+        channel: scan.channel,
+        user: body.user.id,
+        suppliers: await loadSuppliers(),
+        prefill: invoiceFilePrefill(scan)
+      })
     });
   } catch (e) {
-    logger.error('open /invoice-review modal failed:', e);
+    logger.error('open_invoice_review_from_file failed:', e);
   }
 });
 
-// Generic error logger
-app.error((e) => {
-  console.error('⚠️ Bolt error:', e?.message || e);
-});
-
-
-// Parse the list of order numbers, post a parent message, then one thread reply per order with the existing button
-app.view('invoice_review_collect_orders', async ({ ack, body, view, client, logger }) => {
-  await ack();
-
+// Checked collect-modal submission -> parent message, invoice record and the "Review invoice" thread reply.
+// submission: { channel, userId, invoiceSupplier, invoiceDate, invoiceDateIso, invoiceNumber, orderDigits, ignored, sourceFile }
+// lookup: findOrdersByNames(orderDigits) when the caller already ran it.
+// -> the invoice record, or nothing when no review was started (the user got an ephemeral note)
+async function startInvoiceReview(client, logger, submission, lookup = null) {
+  const { channel, userId, invoiceSupplier, invoiceDate, invoiceDateIso, invoiceNumber, orderDigits, ignored, sourceFile } = submission;
+  let invoiceRecord = null;
   try {
-    const md = JSON.parse(view.private_metadata || '{}');
-    const channel = md.channel;
-    const userId = md.user;
-
-    // NEW: read supplier + invoice date
-    const invoiceSupplier = view.state.values?.supplier_block?.supplier_select?.selected_option?.value || '';
-    const invoiceDate = (view.state.values?.invoice_date_block?.invoice_date_input?.value || '').trim();
-
-    // 1) Parse textarea into unique 4-digit order numbers
-    const raw = view.state.values?.orders_block?.orders_input?.value || '';
-    const inputLines = raw.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
-    const orderDigits = Array.from(new Set(
-      inputLines
-        .map(s => (s.match(/(\d{4})/) || [,''])[1])
-        .filter(Boolean)
-    ));
+    // 1) Report the lines that weren't one order
+    const ignoredText = ignored.length
+      ? `Ignored ${ignored.length} line(s):\n${ignored.slice(0, 20).map(i => `• \`${i.line.slice(0, 60)}\` — ${i.reason}`).join('\n')}` +
+        (ignored.length > 20 ? `\n…and ${ignored.length - 20} more` : '')
+      : '';
 
     if (!orderDigits.length) {
+      await releaseInvoiceNumber(submission);
       await client.chat.postEphemeral({
         channel,
         user: userId,
-        text: 'No valid 4-digit order numbers found.'
+        text: ['No valid order numbers found.', ignoredText].filter(Boolean).join('\n')
       });
       return;
     }
+    if (ignored.length) {
+      await client.chat.postEphemeral({ channel, user: userId, text: ignoredText });
+    }
 
-    // 2) Look up all orders now
-    const found = [];   // [{digits, id, customerName}]
-    const failed = [];  // [digits]
-    for (const digits of orderDigits) {
-      try {
-        const order = await findOrderByName(digits);
-        const customerName =
-          order?.customer ? `${order.customer.first_name || ''} ${order.customer.last_name || ''}`.trim() :
-          (order?.shipping_address ? `${order.shipping_address.first_name || ''} ${order.shipping_address.last_name || ''}`.trim() : 'Unknown');
-        found.push({ digits, id: order.id, customerName });
-      } catch (err) {
-        logger.error(`Order C#${digits} lookup failed:`, err);
-        failed.push(digits);
-      }
+    // 2) Look up all orders now (a few batched searches)
+    const { found, missing: failed, errors: lookupErrors } = lookup || await findOrdersByNames(orderDigits);
+    for (const [digits, message] of Object.entries(lookupErrors)) {
+      logger.error(`Order ${orderName(digits)} lookup failed: ${message}`);
     }
+    // Cancelled / refunded / fulfilled / archived orders and orders without this supplier's tag are flagged, not dropped
+    const supplierProfiles = await loadSupplierProfiles();
+    const label = invoiceLabel(invoiceSupplier, invoiceDate);
+    for (const o of found) o.warnings = orderHealthWarnings(o, { invoiceSupplier, label }, supplierProfiles);
+    const risky = found.filter(o => o.warnings.length);
 
     if (!found.length) {
+      await releaseInvoiceNumber(submission);
       await client.chat.postEphemeral({
         channel,
         user: userId,
         text: failed.length
-          ? `No orders found. Failed lookups: ${failed.map(d => `C#${d}`).join(', ')}`
+          ? `No orders found. Failed lookups: ${failed.map(d => orderName(d)).join(', ')}`
           : 'No orders found.'
       });
       return;
@@ -501,13 +3167,15 @@ app.view('invoice_review_collect_orders', async ({ ack, body, view, client, logg
 
     // CHANGE #2: Invoice line uses a space instead of a long dash between supplier and date
     const headerInvoiceLine = (invoiceSupplier || invoiceDate)
-      ? `*Invoice:* ${[invoiceSupplier, invoiceDate].filter(Boolean).join(' ')}`
+      ? `*Invoice:* ${[invoiceSupplier, invoiceDate].filter(Boolean).join(' ')} (${invoiceDateIso})` +
+        (invoiceNumber ? ` • #${invoiceNumber}` : '')
       : null;
 
     const headline = [
       firstLine,
       headerInvoiceLine,
-      failed.length ? `⚠️ Not found: ${failed.map(d => `C#${d}`).join(', ')}` : null
+      failed.length ? `⚠️ Not found: ${failed.map(d => orderName(d)).join(', ')}` : null,
+      risky.length ? `⚠️ ${risky.length} order(s) need a look before editing (see thread)` : null
     ].filter(Boolean).join('\n');
 
     const parent = await client.chat.postMessage({
@@ -516,50 +3184,311 @@ app.view('invoice_review_collect_orders', async ({ ack, body, view, client, logg
     });
     const root_ts = parent.ts;
 
-    // 4) Chunk into batches of up to 8 (to keep modal blocks < 100)
-    const BATCH_SIZE = 8;
-    const batches = [];
-    for (let i = 0; i < found.length; i += BATCH_SIZE) {
-      batches.push(found.slice(i, i + BATCH_SIZE));
-    }
+    // 4) Persist the invoice (orders + status) for /invoice-status and the live parent tally;
+    //    all orders are reviewed through the paginated modal
+    invoiceRecord = await createInvoiceRecord({
+      supplier: invoiceSupplier,
+      date: invoiceDate,
+      dateIso: invoiceDateIso,
+      invoiceNumber,
+      createdBy: userId,
+      channel,
+      thread_ts: root_ts,
+      parentText: headline,
+      orders: found,
+      notFound: failed,
+      sourceFile
+    });
+    await recordInvoiceNumber(invoiceRecord);
+    scheduleInvoiceParentRefresh(invoiceRecord.id);
 
-    // 5) For each batch, post a thread reply with its own "Update Metafields (All)" button
-    let batchIndex = 1;
-    for (const batch of batches) {
-      const listLines = batch.map(o => `• C#${o.digits} — ${o.customerName || 'Unknown'}`).join('\n');
-      const batchTitle = batches.length > 1 ? `Batch ${batchIndex}/${batches.length}` : 'Batch 1/1';
+    // 5) One thread reply listing the orders, with a single "Review invoice" button
+    let listLines = found.map(o =>
+      `• ${orderName(o.digits)} — ${o.customerName || 'Unknown'}` + (o.warnings.length ? ` ⚠️ _${o.warnings.join(', ')}_` : '')
+    ).join('\n');
+    if (listLines.length > 2800) listLines = `${listLines.slice(0, 2800).replace(/\n[^\n]*$/, '')}\n…`; // section text limit
+    const pages = Math.ceil(found.length / bulkOrdersPerPage());
+    const listTitle = `${found.length} order(s)${pages > 1 ? ` • ${pages} pages in the review` : ''}`;
 
-      await client.chat.postMessage({
-        channel,
-        thread_ts: root_ts,
-        text: `${batchTitle}\n${listLines}`,
-        blocks: [
-          { type: 'section', text: { type: 'mrkdwn', text: `*${batchTitle}*\n${listLines}` } },
-          {
-            type: 'actions',
-            elements: [
-              {
-                type: 'button',
-                text: { type: 'plain_text', text: 'Update Metafields (All)', emoji: true },
-                action_id: 'open_update_modal_bulk',
-                value: JSON.stringify({
-                  channel,
-                  thread_ts: root_ts,
-                  invoiceSupplier: invoiceSupplier || '',
-                  invoiceDate: invoiceDate || '',
-                  orders: batch   // only this batch goes to the modal
-                })
-              }
-            ]
-          }
-        ]
+    await client.chat.postMessage({
+      channel,
+      thread_ts: root_ts,
+      text: `${listTitle}\n${listLines}`,
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: `*${listTitle}*\n${listLines}` } },
+        {
+          type: 'actions',
+          elements: [
+            {
+              type: 'button',
+              text: { type: 'plain_text', text: 'Review invoice', emoji: true },
+              style: 'primary',
+              action_id: 'open_update_modal_bulk',
+              value: JSON.stringify({
+                channel,
+                thread_ts: root_ts,
+                invoiceSupplier: invoiceSupplier || '',
+                invoiceDate: invoiceDate || '',
+                invoiceDateIso,
+                invoiceId: invoiceRecord.id // orders are read from the invoice record
+              })
+            }
+          ]
+        }
+      ]
+    });
+    return invoiceRecord;
+  } catch (e) {
+    logger.error('invoice_review_collect_orders error:', e);
+    if (!invoiceRecord) await releaseInvoiceNumber(submission).catch(() => {});
+  }
+}
+
+// Validate the collect modal (or read its attached file), then start the review
+app.view('invoice_review_collect_orders', async ({ ack, body, view, client, logger }) => {
+  const { md, typed, candidates, file } = readInvoiceReviewState(view);
+  const checkedCandidates = candidates ? candidates.checked : [];
+
+  // An attached invoice file is read first; the modal comes back pre-filled for a second Confirm
+  if (file) {
+    await ack({
+      response_action: 'update',
+      view: {
+        type: 'modal',
+        callback_id: 'invoice_review_reading_file',
+        title: { type: 'plain_text', text: 'Invoice Review' },
+        close: { type: 'plain_text', text: 'Cancel' },
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `⏳ Reading *${file.name || 'invoice'}*…` } }]
+      }
+    });
+    const suppliers = await loadSuppliers();
+    let prefill;
+    try {
+      prefill = { ...invoiceFilePrefill(await readInvoiceFile(client, file, await loadSupplierProfiles()), typed), candidates };
+    } catch (e) {
+      logger.error('invoice file read failed:', e);
+      prefill = { ...typed, candidates, note: `⚠️ Couldn't read *${file.name || 'the file'}*: ${e?.message || e}` };
+    }
+    try {
+      await client.views.update({
+        view_id: body.view.id,
+        view: buildInvoiceReviewView({ channel: md.channel, user: md.user, suppliers, prefill })
       });
+    } catch (e) {
+      logger.error('invoice file prefill update failed:', e);
+    }
+    return;
+  }
+
+  // Without a file, supplier, date and orders are all required; the date must parse.
+  // Labels use the short display form of the date.
+  const parsedDate = parseInvoiceDate(typed.dateText);
+  const errors = {};
+  if (!typed.supplier) errors.supplier_block = 'Select a supplier.';
+  if (!typed.dateText) errors.invoice_date_block = 'Enter the invoice date.';
+  else if (!parsedDate) errors.invoice_date_block = `Couldn't read "${typed.dateText}" as a date. Try 10-23, 10/23/2025, Oct 23 or 2025-10-23.`;
+  if (!typed.ordersText.trim() && !checkedCandidates.length) {
+    errors.orders_block = 'Paste at least one order number, tick a suggested order, or attach the invoice file.';
+  }
+  if (Object.keys(errors).length) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  // Ticked suggestions first, then the textarea's unique order numbers
+  const parsedLines = parseOrderLines(typed.ordersText);
+  const submission = {
+    channel: md.channel,
+    userId: md.user,
+    invoiceSupplier: typed.supplier,
+    invoiceDate: parsedDate.display,
+    invoiceDateIso: parsedDate.iso,
+    invoiceNumber: typed.invoiceNumber,
+    orderDigits: Array.from(new Set([...checkedCandidates, ...parsedLines.digits])),
+    ignored: parsedLines.ignored,
+    sourceFile: md.sourceFile,
+    reservationToken: `rt_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`
+  };
+
+  // The same supplier invoice number is never reviewed twice; it is claimed now, before the lookup
+  const earlier = await reserveInvoiceNumber(submission);
+  if (earlier) {
+    await ack({
+      response_action: 'errors',
+      errors: {
+        invoice_number_block: earlier.invoice_id
+          ? `${earlier.supplier} invoice ${earlier.number} was already reviewed (${earlier.date}): ${invoiceThreadLink(earlier)}`
+          : `${earlier.supplier} invoice ${earlier.number} is already being submitted (another review form). Try again once it is done or cancelled.`
+      }
+    });
+    return;
+  }
 
-      batchIndex += 1;
+  // The orders are looked up while the modal waits, so the ones already carrying this invoice
+  // (ledger or `_back_end_incoming_invoice`) are confirmed before it closes
+  await ack({
+    response_action: 'update',
+    view: {
+      type: 'modal',
+      callback_id: 'invoice_review_looking_up',
+      title: { type: 'plain_text', text: 'Invoice Review' },
+      close: { type: 'plain_text', text: 'Close' },
+      blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `⏳ Looking up ${submission.orderDigits.length} order(s)…` } }]
+    }
+  });
+  let record = null;
+  try {
+    const lookup = submission.orderDigits.length
+      ? await findOrdersByNames(submission.orderDigits)
+      : { found: [], missing: [], errors: {} };
+    const applied = await findEarlierInvoiceApplications(submission, lookup.found);
+    if (applied.length) {
+      await client.views.update({
+        view_id: body.view.id,
+        view: buildDuplicateInvoiceConfirmView(storePendingInvoiceReview(submission), submission, applied)
+      });
+      return;
     }
+    record = await startInvoiceReview(client, logger, submission, lookup);
+    await client.views.update({ view_id: body.view.id, view: buildInvoiceReviewStartedView(record) });
+  } catch (e) {
+    logger.error('invoice_review_collect_orders lookup error:', e);
+    if (!record) await releaseInvoiceNumber(submission).catch(() => {});
+  }
+});
+
+// Orders that already took this supplier + date invoice: ledger entries, plus orders whose
+// `_back_end_incoming_invoice` carries the label without one (linked to the invoice record's thread)
+async function findEarlierInvoiceApplications(submission, found) {
+  const applied = await findAppliedInvoiceOrders(submission, submission.orderDigits);
+  const label = invoiceLabel(submission.invoiceSupplier, submission.invoiceDate);
+  const labelled = found.filter(o =>
+    !applied.some(a => String(a.order_digits) === o.digits) &&
+    String(o.backEndInvoice || '').split(';').map(s => s.trim()).includes(label));
+  if (!labelled.length) return applied;
+
+  const records = (await listInvoiceRecords()).filter(r =>
+    supplierKey(r.supplier) === supplierKey(submission.invoiceSupplier) &&
+    (r.date_iso ? r.date_iso === submission.invoiceDateIso : r.date === submission.invoiceDate));
+  return [...applied, ...labelled.map(o => {
+    const record = records.filter(r => r.orders?.[o.digits]).pop(); // oldest first review of the order
+    return {
+      order_digits: o.digits,
+      applied_at: record?.created_at || null,
+      channel: record?.channel || null,
+      thread_ts: record?.thread_ts || null
+    };
+  })];
+}
+
+// Shown in place of the collect modal once the review thread is posted
+function buildInvoiceReviewStartedView(record) {
+  const text = record
+    ? `✅ Review started for ${Object.keys(record.orders || {}).length} order(s): <${invoiceThreadLink(record)}|open the thread>`
+    : 'No review was started; see my message in the channel.';
+  return {
+    type: 'modal',
+    callback_id: 'invoice_review_started',
+    title: { type: 'plain_text', text: 'Invoice Review' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+  };
+}
+
+// Submissions waiting on the "already invoiced" confirmation (the view carries only the id)
+const __pendingInvoiceReviews = new Map(); // pendingId -> submission
+const __PENDING_INVOICE_REVIEW_TTL_MS = 60 * 60 * 1000;
+
+function storePendingInvoiceReview(submission) {
+  const now = Date.now();
+  for (const [id, p] of __pendingInvoiceReviews) {
+    if (now - p.createdAt > __PENDING_INVOICE_REVIEW_TTL_MS) __pendingInvoiceReviews.delete(id);
+  }
+  const id = `pr_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  __pendingInvoiceReviews.set(id, { ...submission, createdAt: now });
+  return id;
+}
+
+// applied: findEarlierInvoiceApplications entries ({ order_digits, applied_at, channel, thread_ts, ... })
+function buildDuplicateInvoiceConfirmView(pendingId, submission, applied) {
+  const label = invoiceLabel(submission.invoiceSupplier, submission.invoiceDate);
+  const lines = applied.slice(0, 15).map(a =>
+    `• ${orderName(a.order_digits)} — ${a.applied_at ? String(a.applied_at).slice(0, 10) : 'label on the order'}` +
+    (a.channel && a.thread_ts ? ` (<${invoiceThreadLink(a)}|earlier thread>)` : '')
+  );
+  if (applied.length > 15) lines.push(`…and ${applied.length - 15} more`);
+
+  return {
+    type: 'modal',
+    callback_id: 'invoice_review_duplicate_confirm',
+    notify_on_close: true,
+    // The claim on the invoice number travels with the view, so it can be released after a restart
+    private_metadata: JSON.stringify({
+      pendingId,
+      reservation: {
+        invoiceSupplier: submission.invoiceSupplier,
+        invoiceNumber: submission.invoiceNumber,
+        reservationToken: submission.reservationToken
+      }
+    }),
+    title: { type: 'plain_text', text: 'Already invoiced?' },
+    submit: { type: 'plain_text', text: 'Start anyway' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `⚠️ *${applied.length} of ${submission.orderDigits.length} order(s) already carry "${label}".*\n` +
+            'This invoice may have been reviewed before. Re-applying it only refreshes the selections; the label and note line are not added twice.'
+        }
+      },
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } }
+    ]
+  };
+}
+
+app.view('invoice_review_duplicate_confirm', async ({ ack, view, client, logger }) => {
+  const { pendingId, reservation } = JSON.parse(view.private_metadata || '{}');
+  const submission = __pendingInvoiceReviews.get(pendingId);
+  __pendingInvoiceReviews.delete(pendingId);
+  // Expired (or lost in a restart) -> free the number so the next /invoice-review isn't refused.
+  // Otherwise renew the claim: one that expired meanwhile may have been taken by another submission.
+  const earlier = submission ? await reserveInvoiceNumber(submission) : null;
+  if (!submission || earlier) {
+    if (!submission && reservation) await releaseInvoiceNumber(reservation).catch(() => {});
+    await ack({
+      response_action: 'update',
+      view: {
+        type: 'modal',
+        title: { type: 'plain_text', text: 'Already invoiced?' },
+        close: { type: 'plain_text', text: 'Close' },
+        blocks: [{
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: earlier
+              ? `${earlier.supplier} invoice ${earlier.number} was started from another review form meanwhile. Nothing was started here.`
+              : 'This confirmation expired. Run `/invoice-review` again.'
+          }
+        }]
+      }
+    });
+    return;
+  }
+  await ack({ response_action: 'clear' });
+  await startInvoiceReview(client, logger, submission);
+});
 
+// Cancel / X on the confirmation -> drop the submission and free its invoice number
+app.view({ callback_id: 'invoice_review_duplicate_confirm', type: 'view_closed' }, async ({ ack, view, logger }) => {
+  await ack();
+  try {
+    const { pendingId, reservation } = JSON.parse(view.private_metadata || '{}');
+    __pendingInvoiceReviews.delete(pendingId);
+    if (reservation) await releaseInvoiceNumber(reservation);
   } catch (e) {
-    logger.error('invoice_review_collect_orders error:', e);
+    logger.error('invoice_review_duplicate_confirm close error:', e);
   }
 });
 
@@ -580,22 +3509,6 @@ app.action('open_update_modal', async ({ ack, body, client, logger, action }) =>
     // 2) Compute initial selections from metafields per your rules
     const init = buildInitialsFromMetafields(mfMap);
 
-    // Options list for Parts
-    const PART_OPTIONS = [
-      { text: { type: 'plain_text', text: 'Steering Wheel' }, value: 'steering_wheel' },
-      { text: { type: 'plain_text', text: 'Trim' }, value: 'trim' },
-      { text: { type: 'plain_text', text: 'Paddles' }, value: 'paddles' },
-      { text: { type: 'plain_text', text: 'Magnetic Paddles' }, value: 'magnetic_paddles' },
-      { text: { type: 'plain_text', text: 'DA Module' }, value: 'da_module' },
-      { text: { type: 'plain_text', text: 'Return Label' }, value: 'return_label' },
-      { text: { type: 'plain_text', text: 'Other (requires text)' }, value: 'other' },
-      { text: { type: 'plain_text', text: 'Parts Set Aside (requires text)' }, value: 'set_aside' }
-    ];
-
-    const initialCheckboxOptions = PART_OPTIONS.filter(o =>
-      init.partsSelections.includes(o.value)
-    );
-
     // Build radio initial options
     const fulfillmentInitial = {
       text: { type: 'plain_text', text: init.fulfillment === 'install_pickup' ? 'Install/Pickup' : (init.fulfillment === 'tbd' ? 'TBD' : 'Ship') },
@@ -619,7 +3532,7 @@ app.action('open_update_modal', async ({ ack, body, client, logger, action }) =>
         type: 'modal',
         callback_id: 'update_meta_modal_submit',
         private_metadata: JSON.stringify(meta),
-        title: { type: 'plain_text', text: `Order C#${meta.orderDigits}` },
+        title: { type: 'plain_text', text: `Order ${orderName(meta.orderDigits)}` },
         submit: { type: 'plain_text', text: 'Done' },
         close: { type: 'plain_text', text: 'Cancel' },
         blocks: [
@@ -628,44 +3541,8 @@ app.action('open_update_modal', async ({ ack, body, client, logger, action }) =>
             type: 'header',
             text: { type: 'plain_text', text: 'Parts' }
           },
-          {
-            type: 'input',
-            block_id: 'parts_block',
-            optional: false,
-            label: { type: 'plain_text', text: 'Select all that apply' },
-            element: {
-              type: 'checkboxes',
-              action_id: 'parts_check',
-              initial_options: initialCheckboxOptions,  // from metafields or default
-              options: PART_OPTIONS
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'parts_other_text',
-            optional: true,
-            label: { type: 'plain_text', text: 'Other — details (required if selected above)' },
-            element: {
-              type: 'plain_text_input',
-              action_id: 'other_text',
-              multiline: false,
-              initial_value: init.otherText || '',
-              placeholder: { type: 'plain_text', text: 'Enter details if you checked "Other"' }
-            }
-          },
-          {
-            type: 'input',
-            block_id: 'parts_set_aside_text',
-            optional: true,
-            label: { type: 'plain_text', text: 'Parts Set Aside — details (required if selected above)' },
-            element: {
-              type: 'plain_text_input',
-              action_id: 'set_aside_text',
-              multiline: false,
-              initial_value: init.setAsideText || '',
-              placeholder: { type: 'plain_text', text: 'Enter details if you checked "Parts Set Aside"' }
-            }
-          },
+          // Checkboxes + text inputs from the parts catalog (initial state from metafields or defaults)
+          ...buildPartsInputBlocks(init),
 
           // Fulfillment
           { type: 'divider' },
@@ -716,127 +3593,75 @@ app.action('open_update_modal', async ({ ack, body, client, logger, action }) =>
   }
 });
 
-/* =========================
-   Bulk: Open Modal for ALL orders on the invoice
-========================= */
-app.action('open_update_modal_bulk', async ({ ack, body, client, logger, action }) => {
-  await ack();
-
-  // Parse payload right away (now expecting supplier/date)
-  let payload = { channel: '', thread_ts: '', invoiceSupplier: '', invoiceDate: '', orders: [] };
-  try { payload = JSON.parse(action.value || '{}'); } catch (_) {}
-  const { channel, thread_ts, invoiceSupplier, invoiceDate, orders } = payload;
-
-  // Immediately open a "Loading..." modal (this uses the live trigger_id)
-  const loading = await client.views.open({
-    trigger_id: body.trigger_id,
-    view: {
-      type: 'modal',
-      callback_id: 'dummy_loading_modal',
-      title: { type: 'plain_text', text: 'Loading...' },
-      close: { type: 'plain_text', text: 'Cancel' },
-      blocks: [
-        {
-          type: 'section',
-          text: { type: 'mrkdwn', text: 'Fetching current order metafields… Please wait.' }
-        }
-      ]
-    }
-  });
-  const loadingViewId = loading.view.id;
-
-  // Now proceed with the heavy Shopify fetching below
-
-  // Each order consumes ~11 blocks; cap at 8 per modal to stay < 100
-  const MAX_ORDERS = 8;
-  const slice = orders.slice(0, MAX_ORDERS);
-  const clipped = orders.length > slice.length;
-
-  // Fetch initial metafields for each order to pre-populate
-  const initialByOrder = {};
-  for (const o of slice) {
-    try {
-      const mfMap = await fetchOrderMetafields(o.id);
-      initialByOrder[o.digits] = buildInitialsFromMetafields(mfMap);
-    } catch (e) {
-      logger.error('fetchOrderMetafields failed for', o, e);
-      initialByOrder[o.digits] = buildInitialsFromMetafields({});
-    }
-  }
-
-  // Options list for Parts (shared)
-  const PART_OPTIONS = [
-    { text: { type: 'plain_text', text: 'Steering Wheel' }, value: 'steering_wheel' },
-    { text: { type: 'plain_text', text: 'Trim' }, value: 'trim' },
-    { text: { type: 'plain_text', text: 'Paddles' }, value: 'paddles' },
-    { text: { type: 'plain_text', text: 'Magnetic Paddles' }, value: 'magnetic_paddles' },
-    { text: { type: 'plain_text', text: 'DA Module' }, value: 'da_module' },
-    { text: { type: 'plain_text', text: 'Return Label' }, value: 'return_label' },
-    { text: { type: 'plain_text', text: 'Other (requires text)' }, value: 'other' },
-    { text: { type: 'plain_text', text: 'Parts Set Aside (requires text)' }, value: 'set_aside' }
-  ];
-
-  // Build the per-order blocks (without header; we'll prepend header when updating the view)
-  const orderBlocks = [];
-  for (const o of slice) {
-    const init = initialByOrder[o.digits];
-    const initialCheckboxOptions = PART_OPTIONS.filter(p => init.partsSelections.includes(p.value));
-    const fulfillmentInitial = {
-      text: { type: 'plain_text', text: init.fulfillment === 'install_pickup' ? 'Install/Pickup' : (init.fulfillment === 'tbd' ? 'TBD' : 'Ship') },
-      value: init.fulfillment
-    };
-    const paymentLabel =
-      init.payment === 'deposit' ? 'Deposit' :
-      init.payment === 'pif_prepaid_install' ? 'PIF + Pre-Paid Install' :
-      init.payment === 'unpaid' ? 'Unpaid' :
-      init.payment === 'unknown' ? 'Unknown' : 'PIF';
-    const paymentInitial = { text: { type: 'plain_text', text: paymentLabel }, value: init.payment };
-
-    orderBlocks.push({ type: 'divider' });
-    orderBlocks.push({
-  type: 'header',
-  text: { type: 'plain_text', text: `Order C#${o.digits} • ${o.customerName || 'Unknown'}` }
-});
-    orderBlocks.push({
-      type: 'input',
-      block_id: `parts_block_${o.digits}`,
-      label: { type: 'plain_text', text: 'Parts — select all that apply' },
-      element: {
-        type: 'checkboxes',
-        action_id: `parts_check_${o.digits}`,
-        initial_options: initialCheckboxOptions,
-        options: PART_OPTIONS
-      }
-    });
-    orderBlocks.push({
-      type: 'input',
-      block_id: `parts_other_text_${o.digits}`,
-      optional: true,
-      label: { type: 'plain_text', text: 'Other — details (required if selected above)' },
-      element: {
-        type: 'plain_text_input',
-        action_id: `other_text_${o.digits}`,
-        multiline: false,
-        initial_value: init.otherText || '',
-        placeholder: { type: 'plain_text', text: 'Enter details if you checked "Other"' }
-      }
-    });
-    orderBlocks.push({
-      type: 'input',
-      block_id: `parts_set_aside_text_${o.digits}`,
-      optional: true,
-      label: { type: 'plain_text', text: 'Parts Set Aside — details (required if selected above)' },
-      element: {
-        type: 'plain_text_input',
-        action_id: `set_aside_text_${o.digits}`,
-        multiline: false,
-        initial_value: init.setAsideText || '',
-        placeholder: { type: 'plain_text', text: 'Enter details if you checked "Parts Set Aside"' }
+/* =========================
+   Bulk: paginated invoice modal
+========================= */
+// One "Review invoice" button opens the whole invoice as a modal flow. Each page holds up to
+// bulkOrdersPerPage() orders; the submit button reads "Next" until the last page, "Back" is a
+// button, and a draft keeps every page's selections so moving around never loses input.
+// Nothing is written to Shopify until the last page is submitted.
+const __bulkDrafts = new Map(); // draftId -> draft
+const __BULK_DRAFT_TTL_MS = 2 * 60 * 60 * 1000;
+
+// Each order (buildBulkOrderBlocks) consumes 9 blocks + the parts inputs: divider, header, parts,
+// divider, header, fulfillment, divider, header, payment, divider. Keep every page under Slack's
+// 100 blocks (5 reserved for the invoice header, page note, order warnings, preview toggle and Back button)
+function bulkOrdersPerPage() {
+  return Math.max(1, Math.floor((100 - 5) / (9 + partsInputBlockCount())));
+}
+
+function storeBulkDraft(draft) {
+  const now = Date.now();
+  for (const [id, d] of __bulkDrafts) {
+    if (now - d.createdAt > __BULK_DRAFT_TTL_MS) __bulkDrafts.delete(id);
+  }
+  const id = `bd_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  const stored = { ...draft, id, createdAt: now, selections: {}, wantsPreview: false };
+  __bulkDrafts.set(id, stored);
+  return stored;
+}
+
+function bulkDraftPageCount(draft) {
+  return Math.max(1, Math.ceil(draft.orders.length / bulkOrdersPerPage()));
+}
+
+function bulkDraftPageOrders(draft, page) {
+  const perPage = bulkOrdersPerPage();
+  return draft.orders.slice(page * perPage, (page + 1) * perPage);
+}
+
+// Selections saved on a page, in the shape buildInitialsFromMetafields() returns
+function bulkDraftInitials(draft, digits) {
+  const p = draft.selections[digits];
+  if (!p) return draft.initialByOrder[digits] || buildInitialsFromMetafields({});
+  return { partsSelections: p.partsSelected, partTexts: p.partTexts, fulfillment: p.fulfillmentVal, payment: p.paymentVal };
+}
+
+function buildBulkOrderBlocks(o, init) {
+  const fulfillmentInitial = {
+    text: { type: 'plain_text', text: init.fulfillment === 'install_pickup' ? 'Install/Pickup' : (init.fulfillment === 'tbd' ? 'TBD' : 'Ship') },
+    value: init.fulfillment
+  };
+  const paymentLabel =
+    init.payment === 'deposit' ? 'Deposit' :
+    init.payment === 'pif_prepaid_install' ? 'PIF + Pre-Paid Install' :
+    init.payment === 'unpaid' ? 'Unpaid' :
+    init.payment === 'unknown' ? 'Unknown' : 'PIF';
+  const paymentInitial = { text: { type: 'plain_text', text: paymentLabel }, value: init.payment };
+
+  return [
+    { type: 'divider' },
+    {
+      type: 'header',
+      text: {
+        type: 'plain_text',
+        text: `${o.warnings?.length ? '⚠️ ' : ''}Order ${orderName(o.digits)} • ${o.customerName || 'Unknown'}`.slice(0, 150)
       }
-    });
-    orderBlocks.push({ type: 'divider' });
-    orderBlocks.push({ type: 'header', text: { type: 'plain_text', text: 'Fulfillment' } });
-    orderBlocks.push({
+    },
+    ...buildPartsInputBlocks(init, { suffix: `_${o.digits}`, label: 'Parts — select all that apply' }),
+    { type: 'divider' },
+    { type: 'header', text: { type: 'plain_text', text: 'Fulfillment' } },
+    {
       type: 'input',
       block_id: `fulfillment_block_${o.digits}`,
       label: { type: 'plain_text', text: 'Choose one' },
@@ -850,10 +3675,10 @@ app.action('open_update_modal_bulk', async ({ ack, body, client, logger, action
           { text: { type: 'plain_text', text: 'TBD' }, value: 'tbd' }
         ]
       }
-    });
-    orderBlocks.push({ type: 'divider' });
-    orderBlocks.push({ type: 'header', text: { type: 'plain_text', text: 'Payment' } });
-    orderBlocks.push({
+    },
+    { type: 'divider' },
+    { type: 'header', text: { type: 'plain_text', text: 'Payment' } },
+    {
       type: 'input',
       block_id: `payment_block_${o.digits}`,
       label: { type: 'plain_text', text: 'Choose one' },
@@ -869,45 +3694,185 @@ app.action('open_update_modal_bulk', async ({ ack, body, client, logger, action
           { text: { type: 'plain_text', text: 'Unknown' }, value: 'unknown' }
         ]
       }
-    });
-orderBlocks.push({ type: 'divider' });
-  }
+    },
+    { type: 'divider' }
+  ];
+}
+
+function buildBulkPageView(draft, page) {
+  const pages = bulkDraftPageCount(draft);
+  const isLast = page === pages - 1;
+  const pageOrders = bulkDraftPageOrders(draft, page);
+  const first = page * bulkOrdersPerPage() + 1;
+
+  const invoiceHeader = (draft.invoiceSupplier || draft.invoiceDate)
+    ? `${[draft.invoiceSupplier, draft.invoiceDate].filter(Boolean).join(' ')} Invoice`
+    : 'Invoice Review';
 
-const invoiceHeader = (invoiceSupplier || invoiceDate)
-  ? `${[invoiceSupplier, invoiceDate].filter(Boolean).join(' ')} Invoice`
-  : 'Invoice Review';
+  // Risky orders across the whole invoice, so they are seen before anyone edits them
+  const risky = draft.orders.filter(o => o.warnings?.length);
+  let riskyText = risky.map(o => `• ${orderName(o.digits)}: ${o.warnings.join(', ')}`).join('\n');
+  if (riskyText.length > 2800) riskyText = `${riskyText.slice(0, 2800).replace(/\n[^\n]*$/, '')}\n…`;
 
-  // Compose final blocks with header + optional clipped note + per-order blocks
-  const finalBlocks = [
+  const previewOption = { text: { type: 'plain_text', text: 'Preview changes first (nothing is written until you confirm)' }, value: 'preview' };
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: invoiceHeader } },
     {
-      type: 'header',
-      text: { type: 'plain_text', text: invoiceHeader }
+      type: 'context',
+      elements: [{
+        type: 'mrkdwn',
+        text: `Page ${page + 1}/${pages} • orders ${first}–${first + pageOrders.length - 1} of ${draft.orders.length}` +
+          (isLast ? '' : ' • *Next* keeps your choices; nothing is saved until the last page')
+      }]
     },
-    ...(clipped ? [{
+    ...(risky.length ? [{
       type: 'section',
-      text: { type: 'mrkdwn', text: `Showing first ${slice.length} orders (Slack modal limit).` }
+      text: { type: 'mrkdwn', text: `⚠️ *${risky.length} order(s) need a look before editing*\n${riskyText}` }
+    }] : []),
+    ...(isLast ? [{
+      type: 'input',
+      block_id: 'preview_block',
+      optional: true,
+      label: { type: 'plain_text', text: 'Before saving' },
+      element: {
+        type: 'checkboxes',
+        action_id: 'preview_toggle',
+        options: [previewOption],
+        ...(draft.wantsPreview ? { initial_options: [previewOption] } : {})
+      }
     }] : []),
-    ...orderBlocks
+    ...pageOrders.flatMap(o => buildBulkOrderBlocks(o, bulkDraftInitials(draft, o.digits))),
+    ...(page > 0 ? [{
+      type: 'actions',
+      block_id: 'bulk_page_nav',
+      elements: [{ type: 'button', action_id: 'bulk_page_back', text: { type: 'plain_text', text: '← Back' }, value: String(page - 1) }]
+    }] : [])
   ];
 
-  await client.views.update({
-    view_id: loadingViewId,
+  return {
+    type: 'modal',
+    callback_id: 'update_meta_modal_submit_bulk',
+    notify_on_close: true,
+    private_metadata: JSON.stringify({ draftId: draft.id, page }),
+    title: { type: 'plain_text', text: 'Edit Invoice Orders' },
+    submit: { type: 'plain_text', text: isLast ? 'Done' : 'Next' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks
+  };
+}
+
+// Remember what is on the current page (Back skips validation; Next validates first)
+function saveBulkPageSelections(draft, page, state) {
+  for (const o of bulkDraftPageOrders(draft, page)) {
+    draft.selections[o.digits] = parseBulkOrderSelections(state, o.digits);
+  }
+  if (page === bulkDraftPageCount(draft) - 1) {
+    draft.wantsPreview = (state?.preview_block?.preview_toggle?.selected_options || []).some(opt => opt.value === 'preview');
+  }
+}
+
+app.action('open_update_modal_bulk', async ({ ack, body, client, logger, action }) => {
+  await ack();
+
+  // Buttons carry the invoice record id; older thread buttons carried their orders inline
+  let payload = { channel: '', thread_ts: '', invoiceSupplier: '', invoiceDate: '', invoiceDateIso: '', orders: [] };
+  try { payload = JSON.parse(action.value || '{}'); } catch (_) {}
+  const { channel, thread_ts, invoiceSupplier, invoiceDate, invoiceDateIso, invoiceId = null } = payload;
+
+  // Immediately open a "Loading..." modal (this uses the live trigger_id)
+  const loading = await client.views.open({
+    trigger_id: body.trigger_id,
     view: {
       type: 'modal',
-      callback_id: 'update_meta_modal_submit_bulk',
-      private_metadata: JSON.stringify({
-        channel,
-        thread_ts,
-        invoiceSupplier: invoiceSupplier || '',
-        invoiceDate: invoiceDate || '',
-        orders: slice
-      }),
-      title: { type: 'plain_text', text: 'Edit Invoice Orders' },
-      submit: { type: 'plain_text', text: 'Done' },
+      callback_id: 'dummy_loading_modal',
+      title: { type: 'plain_text', text: 'Loading...' },
       close: { type: 'plain_text', text: 'Cancel' },
-      blocks: finalBlocks
+      blocks: [
+        {
+          type: 'section',
+          text: { type: 'mrkdwn', text: 'Fetching current order metafields… Please wait.' }
+        }
+      ]
     }
   });
+  const loadingViewId = loading.view.id;
+
+  try {
+    let orders = payload.orders || [];
+    if (!orders.length && invoiceId) {
+      const record = await readInvoiceRecord(invoiceId);
+      orders = (record?.order_digits || []).map(digits => ({
+        digits,
+        id: record.orders[digits]?.id,
+        customerName: record.orders[digits]?.customer_name || null,
+        warnings: record.orders[digits]?.warnings || []
+      }));
+    }
+    if (!orders.length) throw new Error('No orders found for this invoice.');
+
+    // Fetch initial metafields for every order once; pages read them from the draft
+    const initialByOrder = {};
+    await runWithConcurrency(BULK_ORDER_CONCURRENCY, orders, async (o) => {
+      try {
+        const mfMap = await fetchOrderMetafields(o.id);
+        initialByOrder[o.digits] = buildInitialsFromMetafields(mfMap);
+      } catch (e) {
+        logger.error('fetchOrderMetafields failed for', o, e);
+        initialByOrder[o.digits] = buildInitialsFromMetafields({});
+      }
+    });
+
+    const draft = storeBulkDraft({
+      channel,
+      thread_ts,
+      invoiceSupplier: invoiceSupplier || '',
+      invoiceDate: invoiceDate || '',
+      invoiceDateIso: invoiceDateIso || null,
+      invoiceId,
+      orders,
+      initialByOrder
+    });
+
+    await client.views.update({ view_id: loadingViewId, view: buildBulkPageView(draft, 0) });
+  } catch (e) {
+    logger.error('open_update_modal_bulk error:', e);
+    await client.views.update({
+      view_id: loadingViewId,
+      view: {
+        type: 'modal',
+        title: { type: 'plain_text', text: 'Invoice Review' },
+        close: { type: 'plain_text', text: 'Close' },
+        blocks: [{ type: 'section', text: { type: 'mrkdwn', text: `⚠️ Could not open this invoice: ${e?.message || e}` } }]
+      }
+    }).catch(() => {});
+  }
+});
+
+// ← Back: keep this page's input (unvalidated) and show the previous page
+app.action('bulk_page_back', async ({ ack, body, client, logger }) => {
+  await ack();
+  try {
+    const { draftId, page } = JSON.parse(body.view?.private_metadata || '{}');
+    const draft = __bulkDrafts.get(draftId);
+    if (!draft || !(page > 0)) return;
+    saveBulkPageSelections(draft, page, body.view.state?.values || {});
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: buildBulkPageView(draft, page - 1)
+    });
+  } catch (e) {
+    logger.error('bulk_page_back error:', e);
+  }
+});
+
+// Cancel / X on any page -> drop the draft
+app.view({ callback_id: 'update_meta_modal_submit_bulk', type: 'view_closed' }, async ({ ack, view }) => {
+  await ack();
+  try {
+    const { draftId } = JSON.parse(view.private_metadata || '{}');
+    if (draftId) __bulkDrafts.delete(draftId);
+  } catch (_) {}
 });
 
 /* =========================
@@ -931,39 +3896,9 @@ app.view('update_meta_modal_submit', async ({ ack, body, view, client, logger })
       paymentVal === 'unpaid' ? 'Unpaid' :
       paymentVal === 'unknown' ? 'Unknown' : 'PIF';
 
-// Read current checkbox selections from the modal
-let partsSelected = (state?.parts_block?.parts_check?.selected_options || []).map(o => o.value);
-
-// Read the two text inputs
-const otherText    = state?.parts_other_text?.other_text?.value?.trim();
-const setAsideText = state?.parts_set_aside_text?.set_aside_text?.value?.trim();
-
-// Rule #1: If any text is entered, treat the respective checkbox as selected
-if ((otherText || '').trim() && !partsSelected.includes('other')) {
-  partsSelected.push('other');
-}
-if ((setAsideText || '').trim() && !partsSelected.includes('set_aside')) {
-  partsSelected.push('set_aside');
-}
-
-const partsSet = new Set(partsSelected);
-const steeringWheelOn = partsSet.has('steering_wheel');
-const trimOn          = partsSet.has('trim');
-const paddlesOn       = partsSet.has('paddles');
-const magPaddlesOn    = partsSet.has('magnetic_paddles');
-const daModuleOn      = partsSet.has('da_module');
-const returnLabelOn   = partsSet.has('return_label');
-
-const otherSelected    = partsSet.has('other');
-const setAsideSelected = partsSet.has('set_aside');
-
-    const errors = {};
-    if (otherSelected && !otherText) {
-      errors['parts_other_text'] = 'Please provide details for "Other".';
-    }
-    if (setAsideSelected && !setAsideText) {
-      errors['parts_set_aside_text'] = 'Please provide details for "Parts Set Aside".';
-    }
+    // Parts checkboxes + text inputs (typing text counts as checking that part)
+    const partsSel = readPartsSelections(state);
+    const errors = validatePartsSelections(partsSel);
 
     if (Object.keys(errors).length) {
       await ack({ response_action: 'errors', errors });
@@ -972,472 +3907,1341 @@ const setAsideSelected = partsSet.has('set_aside');
 
     await ack();
 
-    // Persist the selection snapshot
+    // Persist the selection snapshot (appended as a new version)
     const meta = JSON.parse(view.private_metadata || '{}');
-    await ensureDirs();
-    const filePath = path.join(ORDERS_DIR, `${meta.orderDigits}.json`);
     const snapshot = {
-      saved_at: new Date().toISOString(),
       order_id: meta.orderId || null,
-      order_digits: meta.orderDigits,
+      saved_by: body.user?.id || null,
+      source: 'single_order',
+      invoice: null,
+      channel: meta.channel || null,
+      thread_ts: meta.thread_ts || null,
       parts: {
-        selections: partsSelected,
-        other_text: otherText || null,
-        set_aside_text: setAsideText || null
+        selections: partsSel.partsSelected,
+        texts: partsSel.partTexts
       },
       fulfillment: state?.fulfillment_block?.fulfillment_radio?.selected_option?.value || 'ship',
       payment: state?.payment_block?.payment_radio?.selected_option?.value || 'pif'
     };
     // --- Begin Shopify metafield updates based on selections ---
 
-    const yesNo = (on, yes, no) => (on ? yes : no);
-
-    // 1) Parts (single line text)
-    const mfOps = [
-  upsertOrderMetafield(meta.orderId, 'custom', 'parts_steering_wheel',     yesNo(steeringWheelOn, 'Steering Wheel', 'No Steering Wheel')),
-  upsertOrderMetafield(meta.orderId, 'custom', 'parts_trim',               yesNo(trimOn,          'Trim',            'No Trim')),
-  upsertOrderMetafield(meta.orderId, 'custom', 'parts_paddles',            yesNo(paddlesOn,       'Paddles',         'No Paddles')),
-  upsertOrderMetafield(meta.orderId, 'custom', 'parts_magnetic_paddles',   yesNo(magPaddlesOn,    'Magnetic Paddles','No Magnetic Paddles')),
-  upsertOrderMetafield(meta.orderId, 'custom', 'parts_da_module',          yesNo(daModuleOn,      'DA Module',       'No DA Module')),
-  upsertOrderMetafield(meta.orderId, 'custom', 'parts_return_label',       yesNo(returnLabelOn,   'Return Label',    'No Return Label')),
-];
-
-// parts_other: write when selected, otherwise DELETE if exists
-if (otherSelected && (otherText || '').trim() !== '') {
-  mfOps.push(upsertOrderMetafield(meta.orderId, 'custom', 'parts_other', (otherText || '').trim()));
-} else {
-  mfOps.push(deleteOrderMetafield(meta.orderId, 'custom', 'parts_other'));
+    // Load metafields / tags / note once; stage every change, then write only real diffs
+    const ctx = await loadOrderContext(meta.orderId, {
+      source: 'single_order',
+      slack_user: body.user?.id,
+      channel: meta.channel,
+      thread_ts: meta.thread_ts,
+      order_digits: meta.orderDigits
+    });
+    const setMf = (key, value, type) => ctx.setMetafield('custom', key, value, type);
+    const removeMf = (key) => ctx.deleteMetafield('custom', key);
+
+    // 1) Parts (one metafield per catalog entry)
+    stagePartsMetafields(ctx, partsSel);
+
+    // 2) Fulfillment (single line text)
+    setMf('ship_install_pickup', fulfillmentLabel);
+
+    // 3) Payment (single line text)
+    setMf('pif_or_not', paymentLabel);
+
+    // 4) who_contacts from the ordered rules in data/who_contacts.json (single line text)
+    snapshot.who_contacts = await resolveWhoContacts(ctx);
+    setMf('who_contacts', snapshot.who_contacts);
+
+    // 5) parts_suppliers from tags starting with PartsSupplier_ (supplier profile names)
+    const suppliers = partsSuppliersFromTags(ctx.tags, await loadSupplierProfiles());
+const suppliersCsv = suppliers.join(', ');
+if (suppliersCsv) {
+  setMf('parts_suppliers', suppliersCsv);
+} else {
+  removeMf('parts_suppliers');
+}
+
+    // 6) packing_slip_notes (multi-line text)
+    // Use multi_line_text_field for creation
+    setMf('packing_slip_notes', buildPackingSlipNotes(partsSel, fulfillmentLabel, paymentLabel), 'multi_line_text_field');
+
+    // 7) initial_slack_tagging_done = "Yes"
+    setMf('initial_slack_tagging_done', 'Yes');
+
+// 7b) _nc_incoming_ = "INCOMING"
+setMf('_nc_incoming_', 'INCOMING');
+
+    // Skips keys whose value is already correct
+    const changes = await ctx.commit();
+    const changedCount = changes.metafields.set.length + changes.metafields.remove.length;
+
+    // --- End metafield updates ---
+    await appendOrderSnapshot(meta.orderDigits, snapshot);
+
+
+    // Confirm in thread
+    if (meta.channel && meta.thread_ts) {
+      await client.chat.postMessage({
+        channel: meta.channel,
+        thread_ts: meta.thread_ts,
+        text: changedCount
+          ? `Updated selections for Order ${orderName(meta.orderDigits)}: Parts / Fulfillment / Payment captured.`
+          : `Order ${orderName(meta.orderDigits)} already matched these selections — nothing to update.`
+      });
+    }
+  } catch (e) {
+    logger.error('modal submit error:', e);
+  }
+});
+
+/* =========================
+   Bulk: shared per-order logic
+========================= */
+// Read one order's selections out of the bulk modal state (same rules as the single-order flow)
+function parseBulkOrderSelections(state, digits) {
+  const fulfillmentVal = state?.[`fulfillment_block_${digits}`]?.[`fulfillment_radio_${digits}`]?.selected_option?.value || 'ship';
+  const paymentVal     = state?.[`payment_block_${digits}`]?.[`payment_radio_${digits}`]?.selected_option?.value || 'pif';
+
+  const fulfillmentLabel =
+    fulfillmentVal === 'install_pickup' ? 'Install/Pickup' :
+    fulfillmentVal === 'tbd' ? 'TBD' : 'Ship';
+
+  const paymentLabel =
+    paymentVal === 'deposit' ? 'Deposit' :
+    paymentVal === 'pif_prepaid_install' ? 'PIF + Pre-Paid Install' :
+    paymentVal === 'unpaid' ? 'Unpaid' :
+    paymentVal === 'unknown' ? 'Unknown' : 'PIF';
+
+  return {
+    ...readPartsSelections(state, `_${digits}`),
+    fulfillmentVal,
+    fulfillmentLabel,
+    paymentVal,
+    paymentLabel
+  };
+}
+
+// Stage every invoice change for one order on its context (nothing is written here).
+// When this invoice is already on the order (ledger or `_back_end_incoming_invoice`), only the
+// selections are refreshed: the invoice label and the note line are not appended again.
+// `whoContactsRules` and `supplierProfiles` come from their loaders (this function stays synchronous);
+// the invoice supplier is matched to a profile so any of its spellings clears `_nc_arranged_with`.
+// Returns extra info the caller needs to explain failures and the summary.
+function stageInvoiceOrderChanges(ctx, o, p, { invoiceSupplier, invoiceDate }, { appliedInLedger = false, whoContactsRules, supplierProfiles = [] } = {}) {
+  const setMf = (key, value, type) => ctx.setMetafield('custom', key, value, type);
+  const removeMf = (key) => ctx.deleteMetafield('custom', key);
+
+  // 1) Parts, fulfillment and payment first: who_contacts is decided on them, as in the single-order
+  // submit, before the arrange/incoming changes below are staged
+  stagePartsMetafields(ctx, p);
+  setMf('ship_install_pickup', p.fulfillmentLabel);
+  setMf('pif_or_not',          p.paymentLabel);
+  const whoContacts = evaluateWhoContacts(whoContactsRules, whoContactsFacts(ctx, invoiceSupplier)).contact;
+
+  // ===== Arrange / Incoming / Back-end Incoming Invoice (prep) =====
+  const mfMap = ctx.metafieldMap();
+  const appendLabel = invoiceLabel(invoiceSupplier, invoiceDate);
+  const currentBackEnd = (mfMap['custom._back_end_incoming_invoice'] || '').trim();
+  const labelOnOrder = currentBackEnd.split(';').map(s => s.trim()).includes(appendLabel);
+  const alreadyApplied = appliedInLedger || labelOnOrder;
+
+  const currentArrangedWith = (mfMap['custom._nc_arranged_with'] || '').trim();
+
+  // Arrange status/tag action tracker
+  let arrangeTagAction = 'leave'; // 'leave' | 'remove'
+  let arrangedWithNewValue = null;
+
+  // 2) Arrange logic
+  if (currentArrangedWith) {
+    if (currentArrangedWith.includes('&')) {
+      // multiple suppliers (future-proof: any number of "&")
+      const parts = currentArrangedWith.split('&').map(s => s.trim()).filter(Boolean);
+      const profile = findSupplierProfile(supplierProfiles, invoiceSupplier);
+      const supplierToRemove = (invoiceSupplier || '').trim();
+      const filtered = parts.filter(s => (profile ? !supplierMatches(profile, s) : s !== supplierToRemove));
+      const newValue = filtered.join(' & ');
+
+      if (newValue && newValue !== currentArrangedWith) {
+        // Shopify may reject this (enum not allowed); mapped to a helpful error on commit
+        arrangedWithNewValue = newValue;
+        setMf('_nc_arranged_with', newValue);
+      }
+      // Keep arrange_status as-is (should remain "Arranged") and DO NOT remove ArrangeStatus_Arranged tag.
+    } else {
+      // single supplier
+      removeMf('arrange_status');
+      removeMf('_nc_arranged_with');
+      arrangeTagAction = 'remove'; // remove ArrangeStatus_Arranged below
+    }
+  }
+
+  // 3) Set custom._nc_incoming_ => "INCOMING" (always), and also update any other *_nc_incoming_* variants if present
+  setMf('_nc_incoming_', 'INCOMING');
+
+  const incomingKeys = Object.keys(mfMap)
+    .filter(k => k.startsWith('custom.') && k.includes('_nc_incoming_'))
+    .map(k => k.split('.')[1]) // keep only the key part
+    .filter(k => k !== '_nc_incoming_'); // we've already set the canonical key above
+  for (const k of incomingKeys) {
+    setMf(k, 'INCOMING');
+  }
+
+  // 4) Append to custom._back_end_incoming_invoice (once per invoice)
+  if (!labelOnOrder) {
+    const newBackEnd = currentBackEnd ? `${currentBackEnd}; ${appendLabel}` : appendLabel;
+    setMf('_back_end_incoming_invoice', newBackEnd);
+  }
+
+  // 5) parts_suppliers from tags starting with PartsSupplier_ (supplier profile names)
+  const suppliers = partsSuppliersFromTags(ctx.tags, supplierProfiles);
+  const suppliersCsv = suppliers.join(', ');
+
+  // 6) packing_slip_notes (multi-line text)
+  const packingSlipNotes = buildPackingSlipNotes(p, p.fulfillmentLabel, p.paymentLabel);
+
+  setMf('who_contacts',           whoContacts);
+  setMf('packing_slip_notes',     packingSlipNotes, 'multi_line_text_field');
+  setMf('initial_slack_tagging_done', 'Yes');
+
+  if (suppliersCsv) {
+    setMf('parts_suppliers', suppliersCsv);
+  } else {
+    removeMf('parts_suppliers');
+  }
+
+  // (2c) Remove the ArrangeStatus_Arranged tag ONLY if we cleared _nc_arranged_with (single-supplier case)
+  if (arrangeTagAction === 'remove') {
+    ctx.removeTag('ArrangeStatus_Arranged');
+  }
+
+  // (2d) Ensure tag "Incoming_Yes" is present
+  ctx.addTag('Incoming_Yes');
+
+  // (5) Prepend the invoice update line to the order note (once per invoice)
+  if (!alreadyApplied) {
+    const now = new Date();
+    const mm = String(now.getMonth() + 1).padStart(2, '0');
+    const dd = String(now.getDate()).padStart(2, '0');
+    const yyyy = String(now.getFullYear());
+    const headerLine = `Update ${mm}/${dd}/${yyyy}: Invoiced with ${appendLabel}`;
+    const dashLine = '————————————'; // em-dash line
+    ctx.setNote(`${headerLine}\n${dashLine}\n${ctx.note || ''}`);
+  }
+
+  return { arrangedWithNewValue, alreadyApplied, whoContacts };
+}
+
+// Apply planned tag/note changes on top of the order's CURRENT tags and note.
+// Used after a restart too, so it never overwrites edits with a stale full tag set.
+// `current` ({ tags, note }) skips the lookup when the caller just loaded the order.
+async function applyPlannedTagsAndNote(orderId, plan, audit = null, current = null) {
+  if (!plan.tags && !plan.note) return;
+
+  let now = current;
+  if (!now) {
+    const data = await shopifyGraphQL(ORDER_TAGS_NOTE_QUERY, { id: orderGid(orderId) });
+    now = { tags: data?.order?.tags || [], note: data?.order?.note || '' };
+  }
+
+  let tags;
+  if (plan.tags) {
+    tags = now.tags.filter(t => !plan.tags.removed.includes(t));
+    for (const t of plan.tags.added) if (!tags.includes(t)) tags.push(t);
+  }
+
+  let note;
+  if (plan.note) {
+    const { before, after } = plan.note;
+    const prepended = after.endsWith(before) ? after.slice(0, after.length - before.length) : after;
+    note = now.note.startsWith(prepended) ? now.note : `${prepended}${now.note}`;
+  }
+
+  const tagsChanged = tags && (tags.length !== now.tags.length || tags.some((t, i) => t !== now.tags[i]));
+  const noteChanged = typeof note === 'string' && note !== now.note;
+  if (!tagsChanged && !noteChanged) return;
+
+  await updateOrder(orderId, {
+    tags: tagsChanged ? tags : undefined,
+    note: noteChanged ? note : undefined
+  }, audit, now);
+}
+
+// Apply one order of an invoice in checkpointed steps: plan -> metafields -> order (tags + note) -> snapshot.
+// `progress` ({ steps, plan }) is persisted by the caller through `checkpoint()`, so a restart
+// resumes after the last finished step instead of re-appending invoice labels or note lines.
+async function applyInvoiceOrder(o, p, invoice, audit = null, progress = { steps: {} }, checkpoint = async () => {}) {
+  const orderAudit = { ...audit, order_digits: o.digits };
+  let ctx = null;
+
+  const applicationKey = invoiceApplicationKey(invoice, o.digits);
+
+  if (!progress.steps.plan) {
+    ctx = await loadOrderContext(o.id, orderAudit);
+    const appliedInLedger = await isInvoiceApplied(invoice, o.digits);
+    const { rules: whoContactsRules } = await loadWhoContactsRules();
+    const supplierProfiles = await loadSupplierProfiles();
+    const { arrangedWithNewValue, alreadyApplied, whoContacts } = stageInvoiceOrderChanges(ctx, o, p, invoice, { appliedInLedger, whoContactsRules, supplierProfiles });
+    const d = ctx.diff();
+    progress.plan = { ...d, arrangedWithNewValue, alreadyApplied, whoContacts };
+    progress.steps.plan = true;
+    await checkpoint();
+  }
+  const plan = progress.plan;
+
+  // One metafieldsSet + one metafieldsDelete, only for keys that really change
+  if (!progress.steps.metafields) {
+    try {
+      await writeOrderMetafields(o.id, plan.metafields, ctx ? ctx.nodes : null, orderAudit);
+    } catch (err) {
+      const arrangedRejected = plan.arrangedWithNewValue &&
+        (err.userErrors || []).some(ue => ue.key === 'custom._nc_arranged_with');
+      if (arrangedRejected) {
+        throw new Error(
+          `Order ${orderName(o.digits)}: cannot set custom._nc_arranged_with="${plan.arrangedWithNewValue}". ` +
+          `Add this exact value to the allowed list in Shopify Admin, then retry.`
+        );
+      }
+      throw err;
+    }
+    progress.steps.metafields = true;
+    await checkpoint();
+  }
+
+  // One orderUpdate for tags + note
+  if (!progress.steps.order) {
+    const current = ctx ? { tags: plan.tags ? plan.tags.before : ctx.tags, note: plan.note ? plan.note.before : ctx.note } : null;
+    await applyPlannedTagsAndNote(o.id, plan, orderAudit, current);
+    progress.steps.order = true;
+    await checkpoint();
+  }
+
+  // Append a snapshot version tagged with the invoice it came from
+  if (!progress.steps.snapshot) {
+    await appendOrderSnapshot(o.digits, {
+      order_id: o.id,
+      saved_by: audit?.slack_user || null,
+      source: 'bulk_invoice',
+      invoice: { supplier: invoice.invoiceSupplier || '', date: invoice.invoiceDate || '', date_iso: invoice.invoiceDateIso || null },
+      channel: audit?.channel || null,
+      thread_ts: audit?.thread_ts || null,
+      parts: {
+        selections: Array.from(new Set(p.partsSelected)),
+        texts: p.partTexts
+      },
+      fulfillment: p.fulfillmentVal,
+      payment: p.paymentVal,
+      who_contacts: plan.whoContacts || null
+    });
+    progress.steps.snapshot = true;
+    await checkpoint();
+  }
+
+  // Remember that this invoice is now on this order
+  if (!progress.steps.ledger) {
+    await recordInvoiceApplication(applicationKey, {
+      order_id: o.id,
+      order_digits: o.digits,
+      invoice_supplier: invoice.invoiceSupplier || '',
+      invoice_date: invoice.invoiceDate || '',
+      invoice_date_iso: invoice.invoiceDateIso || null,
+      slack_user: audit?.slack_user || null,
+      channel: audit?.channel || null,
+      thread_ts: audit?.thread_ts || null
+    });
+    progress.steps.ledger = true;
+    await checkpoint();
+  }
+
+  return plan;
+}
+
+/* =========================
+   Invoice records (data/invoices)
+========================= */
+// One file per /invoice-review: who started it, its thread, each submission of its review
+// and where each order stands (pending -> updated | failed). Jobs report into it.
+function invoiceRecordPath(invoiceId) {
+  return path.join(INVOICES_DIR, `${path.basename(String(invoiceId))}.json`);
+}
+
+async function createInvoiceRecord({ supplier, date, dateIso, invoiceNumber = '', createdBy, channel, thread_ts, parentText = '', orders, notFound = [], sourceFile = null }) {
+  await ensureDirs();
+  const now = new Date().toISOString();
+  const record = {
+    id: `inv_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    status: 'open', // open | complete
+    supplier: supplier || '',
+    date: date || '',
+    date_iso: dateIso || null,
+    invoice_number: invoiceNumber || null,
+    created_by: createdBy || null,
+    created_at: now,
+    updated_at: now,
+    channel,
+    thread_ts,
+    parent_text: parentText, // parent message headline; the review tally is appended on every update
+    not_found: notFound,
+    source_file: sourceFile, // { id, name } when the review started from an invoice file
+    order_digits: orders.map(o => o.digits), // collection order (`orders` keys sort numerically)
+    submissions: [], // [{ at, by, job_id, finished_at }]
+    orders: Object.fromEntries(orders.map(o => [o.digits, {
+      id: o.id,
+      customer_name: o.customerName || null,
+      warnings: o.warnings || [], // order health at collection time (orderHealthWarnings)
+      status: 'pending',
+      error: null,
+      updated_at: null
+    }]))
+  };
+  await withKeyLock(`invoice:${record.id}`, () => writeJsonAtomic(invoiceRecordPath(record.id), record));
+  return record;
+}
+
+async function readInvoiceRecord(invoiceId) {
+  return invoiceId ? readJsonSafe(invoiceRecordPath(invoiceId)) : null;
+}
+
+// Read-modify-write under the record's lock; missing records (older threads) are skipped
+async function updateInvoiceRecord(invoiceId, fn) {
+  if (!invoiceId) return null;
+  return withKeyLock(`invoice:${invoiceId}`, async () => {
+    const record = await readInvoiceRecord(invoiceId);
+    if (!record) return null;
+    fn(record);
+    const orders = Object.values(record.orders || {});
+    record.status = orders.length && orders.every(o => o.status === 'updated') ? 'complete' : 'open';
+    record.updated_at = new Date().toISOString();
+    await writeJsonAtomic(invoiceRecordPath(invoiceId), record);
+    scheduleInvoiceParentRefresh(invoiceId);
+    return record;
+  });
+}
+
+// A new submission re-runs the review, so its orders go back to pending until the job reports
+function markInvoiceSubmitted(invoiceId, { userId, jobId }) {
+  return updateInvoiceRecord(invoiceId, (record) => {
+    record.submissions.push({ at: new Date().toISOString(), by: userId || null, job_id: jobId || null, finished_at: null });
+    for (const entry of Object.values(record.orders)) {
+      Object.assign(entry, { status: 'pending', error: null, reverted_at: null });
+    }
+  });
+}
+
+function setInvoiceOrderStatus(invoiceId, digits, status, error = null) {
+  return updateInvoiceRecord(invoiceId, (record) => {
+    const entry = record.orders?.[digits];
+    if (!entry) return;
+    entry.status = status;
+    entry.error = error;
+    entry.updated_at = new Date().toISOString();
+  });
+}
+
+// Mark a submission's job finished (its orders are no longer "in progress")
+function markInvoiceSubmissionFinished(invoiceId, jobId) {
+  return updateInvoiceRecord(invoiceId, (record) => {
+    const submission = record.submissions.find(s => s.job_id === jobId);
+    if (submission) submission.finished_at = new Date().toISOString();
+  });
+}
+
+// Tally line for the parent message, e.g. "Review ⏳ 4/30 orders"
+function describeInvoiceProgress(record) {
+  const last = record.submissions[record.submissions.length - 1];
+  if (!last) return 'Review not started';
+
+  const orders = Object.values(record.orders || {});
+  const updated = orders.filter(o => o.status === 'updated').length;
+  const failed = orders.filter(o => o.status === 'failed').length;
+  if (!last.finished_at) return `Review ⏳ ${updated + failed}/${orders.length} orders`;
+
+  const reverted = orders.filter(o => o.status === 'pending' && o.reverted_at).length;
+  if (updated === orders.length) return 'Review ✅';
+  return `Review ⚠️ ${updated}/${orders.length} updated` +
+    (failed ? `, ${failed} failed` : '') +
+    (reverted ? `, ${reverted} reverted` : '');
+}
+
+function buildInvoiceParentText(record) {
+  const total = Object.keys(record.orders || {}).length;
+  const tally = record.status === 'complete'
+    ? `✅ *Invoice complete* — all ${total} order(s) updated`
+    : describeInvoiceProgress(record);
+  return [record.parent_text, tally].filter(Boolean).join('\n');
+}
+
+// chat.update the parent at most every INVOICE_PARENT_REFRESH_MS per invoice; the
+// trailing refresh re-reads the record, so the last change always shows.
+const INVOICE_PARENT_REFRESH_MS = 1500;
+const __invoiceParentRefresh = new Map(); // invoiceId -> timer
+
+function scheduleInvoiceParentRefresh(invoiceId) {
+  if (!invoiceId || __invoiceParentRefresh.has(invoiceId)) return;
+  __invoiceParentRefresh.set(invoiceId, setTimeout(async () => {
+    __invoiceParentRefresh.delete(invoiceId);
+    try {
+      const record = await readInvoiceRecord(invoiceId);
+      if (!record?.channel || !record?.thread_ts) return;
+      await app.client.chat.update({ channel: record.channel, ts: record.thread_ts, text: buildInvoiceParentText(record) });
+    } catch (e) {
+      console.error(`[invoices] parent update failed for ${invoiceId}:`, e?.data?.error || e?.message || e);
+    }
+  }, INVOICE_PARENT_REFRESH_MS));
+}
+
+async function listInvoiceRecords() {
+  let names = [];
+  try {
+    names = (await fsp.readdir(INVOICES_DIR)).filter(n => n.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  const records = [];
+  for (const name of names) {
+    const record = await readJsonSafe(path.join(INVOICES_DIR, name));
+    if (record) records.push(record);
+  }
+  return records.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+function invoiceThreadLink(record) {
+  return `https://slack.com/archives/${record.channel}/p${String(record.thread_ts).replace('.', '')}`;
+}
+
+// Index of supplier invoice numbers already reviewed, so one invoice isn't reviewed twice.
+// Key: supplier profile id (any spelling of the supplier) + the number without case or punctuation.
+function normalizeInvoiceNumber(number) {
+  return String(number || '').toUpperCase().replace(/[^A-Z0-9]+/g, '');
+}
+
+async function invoiceNumberKey(supplier, number) {
+  const profile = findSupplierProfile(await loadSupplierProfiles(), supplier);
+  const n = normalizeInvoiceNumber(number);
+  const supplierPart = profile ? profile.id : supplierKey(supplier || '');
+  // Without a supplier the number alone would collide across suppliers: not indexed
+  return n && supplierPart ? `${supplierPart}|${n}` : null;
+}
+
+// A submission holds its number (entry without invoice_id) from validation until the review starts;
+// one that never starts frees it after this long
+const INVOICE_NUMBER_RESERVATION_TTL_MS = 60 * 60 * 1000;
+
+// Claim the number for a collect submission before its orders are looked up, so two quick
+// submissions of the same invoice can't both get through (even by the same person).
+// submission.reservationToken identifies the claim; only that token may renew or release it.
+// -> null when claimed (or there is no number), else the entry holding it: a review that already
+//    started, or another submission still in progress
+async function reserveInvoiceNumber(submission) {
+  const key = await invoiceNumberKey(submission.invoiceSupplier, submission.invoiceNumber);
+  if (!key) return null;
+  return withKeyLock('invoice-numbers', async () => {
+    await ensureDirs();
+    const index = (await readJsonSafe(INVOICE_NUMBERS_FILE, {})) || {};
+    const held = index[key];
+    if (held && (held.invoice_id || (held.token !== submission.reservationToken &&
+        Date.now() - Date.parse(held.created_at) < INVOICE_NUMBER_RESERVATION_TTL_MS))) {
+      return held;
+    }
+    index[key] = {
+      invoice_id: null,
+      supplier: submission.invoiceSupplier,
+      number: submission.invoiceNumber,
+      date: submission.invoiceDate,
+      date_iso: submission.invoiceDateIso,
+      channel: submission.channel,
+      thread_ts: null,
+      token: submission.reservationToken,
+      created_by: submission.userId,
+      created_at: new Date().toISOString()
+    };
+    await writeJsonAtomic(INVOICE_NUMBERS_FILE, index);
+    return null;
+  });
+}
+
+// The submission was dropped before its review started: free the number again.
+// submission: { invoiceSupplier, invoiceNumber, reservationToken } is enough
+async function releaseInvoiceNumber(submission) {
+  const key = await invoiceNumberKey(submission.invoiceSupplier, submission.invoiceNumber);
+  if (!key) return;
+  await withKeyLock('invoice-numbers', async () => {
+    const index = (await readJsonSafe(INVOICE_NUMBERS_FILE, {})) || {};
+    const held = index[key];
+    if (!held || held.invoice_id || held.token !== submission.reservationToken) return;
+    delete index[key];
+    await writeJsonAtomic(INVOICE_NUMBERS_FILE, index);
+  });
+}
+
+// First review wins: replaces the submission's reservation with the started review
+async function recordInvoiceNumber(record) {
+  const key = await invoiceNumberKey(record.supplier, record.invoice_number);
+  if (!key) return;
+  await withKeyLock('invoice-numbers', async () => {
+    await ensureDirs();
+    const index = (await readJsonSafe(INVOICE_NUMBERS_FILE, {})) || {};
+    if (index[key]?.invoice_id) return;
+    index[key] = {
+      invoice_id: record.id,
+      supplier: record.supplier,
+      number: record.invoice_number,
+      date: record.date,
+      date_iso: record.date_iso,
+      channel: record.channel,
+      thread_ts: record.thread_ts,
+      created_by: record.created_by,
+      created_at: record.created_at
+    };
+    await writeJsonAtomic(INVOICE_NUMBERS_FILE, index);
+  });
+}
+
+// Counts per status + whether the review was submitted at all
+function summarizeInvoiceRecord(record) {
+  const counts = { pending: 0, updated: 0, failed: 0 };
+  for (const o of Object.values(record.orders || {})) counts[o.status] = (counts[o.status] || 0) + 1;
+  return { counts, submitted: record.submissions.length > 0 };
 }
 
-// parts_set_aside_already: write when selected, otherwise DELETE if exists
-if (setAsideSelected && (setAsideText || '').trim() !== '') {
-  mfOps.push(upsertOrderMetafield(meta.orderId, 'custom', 'parts_set_aside_already', (setAsideText || '').trim()));
-} else {
-  mfOps.push(deleteOrderMetafield(meta.orderId, 'custom', 'parts_set_aside_already'));
+/* =========================
+   Bulk: durable jobs (data/jobs)
+========================= */
+// Each bulk submission is saved as a job before any Shopify write. Per-order progress
+// (steps + plan) is checkpointed to disk, and unfinished jobs resume on startup.
+function jobPath(jobId) {
+  return path.join(JOBS_DIR, `${path.basename(String(jobId))}.json`);
 }
 
-    // 2) Fulfillment (single line text)
-    mfOps.push(upsertOrderMetafield(meta.orderId, 'custom', 'ship_install_pickup', fulfillmentLabel));
+async function saveJob(job) {
+  job.updated_at = new Date().toISOString();
+  // Orders run in parallel and all checkpoint into the same file
+  await withKeyLock(`job:${job.id}`, () => writeJsonAtomic(jobPath(job.id), job));
+}
 
-    // 3) Payment (single line text)
-    mfOps.push(upsertOrderMetafield(meta.orderId, 'custom', 'pif_or_not', paymentLabel));
-
-    // 4) who_contacts computed by priority rules (single line text)
-    // Priority:
-    // 1) custom.platform === "Direct KZ" -> "Kirill"
-    // 2) has order tag "MarketingSponsorship" -> "Irish"
-    // 3) custom.kl_status in {"KL-UP","KL-P"} -> "Kenny"
-    // 4) default -> "Nick"
-    const __mfMap_for_who = await fetchOrderMetafields(meta.orderId);
-    const __tags_for_who = await fetchOrderTags(meta.orderId);
-    let __whoContacts = 'Nick';
-    if ((__mfMap_for_who['custom.platform'] || '').trim() === 'Direct KZ') {
-      __whoContacts = 'Kirill';
-    } else if (__tags_for_who.includes('MarketingSponsorship')) {
-      __whoContacts = 'Irish';
-    } else {
-      const __kl = (__mfMap_for_who['custom.kl_status'] || '').trim();
-      if (__kl === 'KL-UP' || __kl === 'KL-P') {
-        __whoContacts = 'Kenny';
-      }
-    }
-    mfOps.push(upsertOrderMetafield(meta.orderId, 'custom', 'who_contacts', __whoContacts));
+async function createInvoiceJob({ channel, thread_ts, invoiceSupplier, invoiceDate, invoiceDateIso, invoiceId, orders, selections, userId }) {
+  await ensureDirs();
+  const job = {
+    id: `job_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    type: 'invoice_bulk',
+    status: 'pending', // pending | running | done
+    created_at: new Date().toISOString(),
+    updated_at: null,
+    resumed_count: 0,
+    summary_posted_at: null, // set just before the thread summary is posted (posted at most once)
+    user_id: userId || null,
+    channel,
+    thread_ts,
+    invoiceSupplier: invoiceSupplier || '',
+    invoiceDate: invoiceDate || '',
+    invoiceDateIso: invoiceDateIso || null,
+    invoiceId: invoiceId || null,   // data/invoices record this submission belongs to
+    orders,
+    selections,
+    progress: Object.fromEntries(orders.map(o => [o.digits, { status: 'pending', steps: {}, plan: null, error: null }]))
+  };
+  await saveJob(job);
+  return job;
+}
 
-    // 5) parts_suppliers from tags starting with PartsSupplier_
-    const tags = await fetchOrderTags(meta.orderId);
-    const suppliers = tags
-      .filter(t => t.startsWith('PartsSupplier_'))
-      .map(t => t.substring('PartsSupplier_'.length))
-      .filter(Boolean);
-const suppliersCsv = suppliers.join(', ');
-if (suppliersCsv) {
-  mfOps.push(upsertOrderMetafield(meta.orderId, 'custom', 'parts_suppliers', suppliersCsv));
-} else {
-  mfOps.push(deleteOrderMetafield(meta.orderId, 'custom', 'parts_suppliers'));
+async function listUnfinishedJobs() {
+  let names = [];
+  try {
+    names = (await fsp.readdir(JOBS_DIR)).filter(n => n.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  const jobs = [];
+  for (const name of names) {
+    const job = await readJsonSafe(path.join(JOBS_DIR, name));
+    if (job && job.status !== 'done') jobs.push(job);
+  }
+  return jobs.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
 }
 
-    // 6) packing_slip_notes (multi-line text)
-    const partsListForLine3 = [];
-    if (steeringWheelOn) partsListForLine3.push('Steering Wheel');
-    if (trimOn)          partsListForLine3.push('Trim');
-    if (paddlesOn)       partsListForLine3.push('Paddles');
-    if (magPaddlesOn)    partsListForLine3.push('Magnetic Paddles');
-    if (daModuleOn)      partsListForLine3.push('DA Module');
-    if (returnLabelOn)   partsListForLine3.push('Return Label');
-    if (otherSelected && otherText) partsListForLine3.push(otherText);
+// Run (or continue) a job: every order not yet done, then the thread summary + revert button
+async function runInvoiceJob(job, { client, logger }) {
+  const { channel, thread_ts, invoiceSupplier, invoiceDate, invoiceDateIso = null, invoiceId = null, userId = job.user_id } = job;
+  const invoice = { invoiceSupplier, invoiceDate, invoiceDateIso };
+  const audit = {
+    source: 'bulk_invoice',
+    slack_user: userId,
+    channel,
+    thread_ts,
+    invoice_supplier: invoiceSupplier,
+    invoice_date: invoiceDate
+  };
+
+  job.status = 'running';
+  await saveJob(job);
 
-    let line3 = partsListForLine3.join(', ');
-    if (partsListForLine3.length === 1) {
-      line3 = `${partsListForLine3[0]} only`;
+  const pending = job.orders.filter(o => job.progress[o.digits]?.status !== 'done');
+
+  // Several orders in parallel; the Shopify limiter paces the actual calls
+  await runWithConcurrency(BULK_ORDER_CONCURRENCY, pending, async (o) => {
+    const progress = job.progress[o.digits];
+    try {
+      progress.status = 'running';
+      progress.error = null;
+      // Same invoice + order never runs twice at once (e.g. a retried view submission)
+      const key = invoiceApplicationKey(invoice, o.digits);
+      await withKeyLock(`apply:${key}`, () =>
+        applyInvoiceOrder(o, job.selections[o.digits], invoice, audit, progress, () => saveJob(job))
+      );
+      progress.status = 'done';
+    } catch (e) {
+      logger?.error?.('bulk worker failed for order', { order_digits: o.digits, order_id: o.id, error: e });
+      console.error('bulk worker failed for order', o, e);
+      progress.status = 'failed';
+      progress.error = (e && e.message) ? e.message : String(e);
     }
+    await saveJob(job);
+    await setInvoiceOrderStatus(invoiceId, o.digits, progress.status === 'done' ? 'updated' : 'failed', progress.error)
+      .catch(e => console.error('[invoices] status update failed:', e?.message || e));
+  });
+
+  const results = job.orders.map(o => {
+    const pr = job.progress[o.digits];
+    return pr.status === 'done'
+      ? { ok: true, id: o.digits, order: o, changes: pr.plan, alreadyApplied: Boolean(pr.plan?.alreadyApplied) }
+      : { ok: false, id: o.digits, error: pr.error || 'Not processed' };
+  });
 
-    const line1 = `${fulfillmentLabel.toUpperCase()} — ${paymentLabel.toUpperCase()}`;
-const line2 = ''; // blank spacer line
-const line4 = setAsideSelected && setAsideText ? `Should Be Set Aside Already: ${setAsideText}` : '';
+  await markInvoiceSubmissionFinished(invoiceId, job.id)
+    .catch(e => console.error('[invoices] submission finish update failed:', e?.message || e));
 
-const packingLines = [line1, line2, line3];
-if (line4) {
-  packingLines.push('');        // extra blank line before the set-aside note
-  packingLines.push(line4);     // the set-aside note line
-}
-const packingSlipNotes = packingLines.join('\n');
+  // Checkpoint first: a restart after this point must not post the summary (and revert record) twice
+  if (!job.summary_posted_at) {
+    job.summary_posted_at = new Date().toISOString();
+    await saveJob(job);
+    await postBulkSummary({ client, logger, channel, thread_ts, invoiceSupplier, invoiceDate, invoiceDateIso, invoiceId, userId, orders: job.orders, results });
+  }
 
-    // Use multi_line_text_field for creation
-    mfOps.push(upsertOrderMetafield(meta.orderId, 'custom', 'packing_slip_notes', packingSlipNotes, 'multi_line_text_field'));
+  job.status = 'done';
+  job.finished_at = new Date().toISOString();
+  await saveJob(job);
+  return results;
+}
 
-    // 7) initial_slack_tagging_done = "Yes"
-    mfOps.push(upsertOrderMetafield(meta.orderId, 'custom', 'initial_slack_tagging_done', 'Yes'));
+// Startup: pick up jobs a deploy/restart interrupted and tell their threads
+async function resumeUnfinishedJobs({ client, logger }) {
+  const jobs = await listUnfinishedJobs();
+  for (const job of jobs) {
+    const remaining = job.orders.filter(o => job.progress[o.digits]?.status !== 'done');
+    job.resumed_count = (job.resumed_count || 0) + 1;
+    console.log(`[jobs] resuming ${job.id} (${remaining.length}/${job.orders.length} order(s) left)`);
 
-// 7b) _nc_incoming_ = "INCOMING"
-mfOps.push(upsertOrderMetafield(meta.orderId, 'custom', '_nc_incoming_', 'INCOMING'));
+    try {
+      // Every order finished before the restart: only the summary (if not posted yet) and the
+      // final status are left, nothing to announce in the thread
+      if (remaining.length && job.channel && job.thread_ts) {
+        await client.chat.postMessage({
+          channel: job.channel,
+          thread_ts: job.thread_ts,
+          text: `⏯️ The bot restarted while this invoice was processing. Resuming ${remaining.length} remaining order(s): ` +
+            remaining.map(o => orderName(o.digits)).join(', ')
+        });
+      }
+      await runInvoiceJob(job, { client, logger });
+    } catch (e) {
+      logger?.error?.(`[jobs] resume of ${job.id} failed`, e);
+      console.error(`[jobs] resume of ${job.id} failed:`, e?.message || e);
+    }
+  }
+}
 
-    // Execute all metafield writes in parallel
-    for (const op of mfOps) {
-  await op;
+// Persist the submission as a job, then run it
+async function runBulkInvoiceSubmission({ client, logger, ...submission }) {
+  const job = await createInvoiceJob(submission);
+  await markInvoiceSubmitted(job.invoiceId, { userId: job.user_id, jobId: job.id })
+    .catch(e => console.error('[invoices] submit update failed:', e?.message || e));
+  return runInvoiceJob(job, { client, logger });
 }
 
-    // --- End metafield updates ---
-    await writeJsonAtomic(filePath, snapshot);
+// Post the ✅/❌ summary, failure details and the revert button in the thread
+async function postBulkSummary({ client, logger, channel, thread_ts, invoiceSupplier, invoiceDate, invoiceDateIso = null, invoiceId = null, userId, orders, results }) {
+  // Collate successes/failures with reasons
+  const ok = [];
+  const already = [];
+  const fail = [];
+  const failDetails = [];
+
+  results.forEach((r, idx) => {
+    if (r && r.ok) {
+      ok.push(orderName(r.id));
+      if (r.alreadyApplied) already.push(orderName(r.id));
+    } else {
+      const digits = orders[idx].digits;
+      fail.push(orderName(digits));
+      const reason = (r && r.error) ? r.error
+                    : (r && r.message) ? r.message
+                    : 'Unknown error';
+      const line = `${orderName(digits)}: ${reason}`;
+      failDetails.push(line);
+
+      // Log to PM2/stdout with structured context
+      console.error('invoice bulk failed', {
+        order_digits: digits,
+        order_id: orders[idx].id,
+        reason
+      });
+      logger?.error?.('invoice bulk failed', {
+        order_digits: digits,
+        order_id: orders[idx].id,
+        reason
+      });
+    }
+  });
 
+  // Confirm in thread (summary)
+  if (channel && thread_ts) {
+    const lines = [];
+    if (ok.length)   lines.push(`✅ Updated: ${ok.join(', ')}`);
+    if (already.length) {
+      lines.push(`ℹ️ Already on the ${invoiceLabel(invoiceSupplier, invoiceDate)} (selections refreshed, no duplicate label/note): ${already.join(', ')}`);
+    }
+    if (fail.length) lines.push(`❌ Failed: ${fail.join(', ')}`);
+    await client.chat.postMessage({
+      channel,
+      thread_ts,
+      text: lines.join('\n') || 'Done.'
+    });
 
-    // Confirm in thread
-    if (meta.channel && meta.thread_ts) {
+    // Post detailed reasons as a follow-up (code block), if any
+    if (failDetails.length) {
       await client.chat.postMessage({
-        channel: meta.channel,
-        thread_ts: meta.thread_ts,
-        text: `Updated selections for Order C#${meta.orderDigits}: Parts / Fulfillment / Payment captured.`
+        channel,
+        thread_ts,
+        text: '*Failure details:*\n```' + failDetails.join('\n') + '```'
       });
     }
-  } catch (e) {
-    logger.error('modal submit error:', e);
+
+    // Offer a one-click undo for everything we actually changed
+    try {
+      const record = await saveRevertRecord({ channel, thread_ts, invoiceSupplier, invoiceDate, invoiceDateIso, invoiceId, userId, results });
+      if (record) {
+        await client.chat.postMessage({
+          channel,
+          thread_ts,
+          text: `Made a mistake? Revert this invoice for ${record.orders.length} order(s).`,
+          blocks: buildRevertButtonBlocks(record)
+        });
+      }
+    } catch (e) {
+      logger?.error?.('saving revert record failed', e);
+    }
   }
-});
+}
 
 /* =========================
-   Bulk: Modal Submission
+   Bulk: Revert an invoice submission
 ========================= */
-app.view('update_meta_modal_submit_bulk', async ({ ack, body, view, client, logger }) => {
-  // Per-order validation and save
-  const md = JSON.parse(view.private_metadata || '{}');
-const { channel, thread_ts, invoiceSupplier, invoiceDate, orders } = md;
-
-  // Build a per-order extractor using the same rules as your single-order flow
-  function parseOne(state, digits) {
-    const getSel = (arr) => (arr || []).map(o => o.value);
-
-    let partsSelected = getSel(state?.[`parts_block_${digits}`]?.[`parts_check_${digits}`]?.selected_options);
-    const otherText    = state?.[`parts_other_text_${digits}`]?.[`other_text_${digits}`]?.value?.trim();
-    const setAsideText = state?.[`parts_set_aside_text_${digits}`]?.[`set_aside_text_${digits}`]?.value?.trim();
-
-    if ((otherText || '').trim() && !partsSelected.includes('other')) partsSelected.push('other');
-    if ((setAsideText || '').trim() && !partsSelected.includes('set_aside')) partsSelected.push('set_aside');
+// Save the before/after of every field we touched, per order. Returns null if nothing changed.
+async function saveRevertRecord({ channel, thread_ts, invoiceSupplier, invoiceDate, invoiceDateIso = null, invoiceId = null, userId, results }) {
+  const orders = [];
+  for (const r of results) {
+    if (!r || !r.ok || !r.changes) continue;
+    const d = r.changes;
+    const metafields = [
+      ...d.metafields.set.map(mf => ({
+        namespace: mf.namespace,
+        key: mf.key,
+        before: mf.old,
+        before_type: mf.oldType || mf.type || null,
+        after: mf.value
+      })),
+      ...d.metafields.remove.map(mf => ({
+        namespace: mf.namespace,
+        key: mf.key,
+        before: mf.old,
+        before_type: mf.type || null,
+        after: null
+      }))
+    ];
+    if (!metafields.length && !d.tags && !d.note) continue;
+    orders.push({
+      digits: r.order.digits,
+      id: r.order.id,
+      metafields,
+      tags: d.tags ? { added: d.tags.added, removed: d.tags.removed } : null,
+      note: d.note
+    });
+  }
+  if (!orders.length) return null;
 
-    const fulfillmentVal = state?.[`fulfillment_block_${digits}`]?.[`fulfillment_radio_${digits}`]?.selected_option?.value || 'ship';
-    const paymentVal     = state?.[`payment_block_${digits}`]?.[`payment_radio_${digits}`]?.selected_option?.value || 'pif';
+  const record = {
+    id: `rv_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    created_at: new Date().toISOString(),
+    submitted_by: userId || null,
+    channel,
+    thread_ts,
+    invoiceSupplier: invoiceSupplier || '',
+    invoiceDate: invoiceDate || '',
+    invoiceDateIso: invoiceDateIso || null,
+    invoiceId: invoiceId || null,
+    reverted_at: null, // set once every order is restored
+    reverted_by: null,
+    reverting: null,   // { by, at } while a revert runs
+    orders             // each gets status 'restored' | 'failed' after a revert attempt
+  };
+  await ensureDirs();
+  await writeJsonAtomic(path.join(REVERTS_DIR, `${record.id}.json`), record);
+  return record;
+}
 
-    const fulfillmentLabel =
-      fulfillmentVal === 'install_pickup' ? 'Install/Pickup' :
-      fulfillmentVal === 'tbd' ? 'TBD' : 'Ship';
+async function listRevertRecords() {
+  let names = [];
+  try {
+    names = (await fsp.readdir(REVERTS_DIR)).filter(n => n.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  const records = [];
+  for (const name of names) {
+    const record = await readJsonSafe(path.join(REVERTS_DIR, name));
+    if (record) records.push(record);
+  }
+  return records;
+}
 
-    const paymentLabel =
-      paymentVal === 'deposit' ? 'Deposit' :
-      paymentVal === 'pif_prepaid_install' ? 'PIF + Pre-Paid Install' :
-      paymentVal === 'unpaid' ? 'Unpaid' :
-      paymentVal === 'unknown' ? 'Unknown' : 'PIF';
+function buildRevertButtonBlocks(record) {
+  const label = [record.invoiceSupplier, record.invoiceDate].filter(Boolean).join(' ') || 'this';
+  return [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `Made a mistake? Revert the *${label}* invoice changes on ${record.orders.length} order(s).` }
+    },
+    {
+      type: 'actions',
+      elements: [
+        {
+          type: 'button',
+          style: 'danger',
+          text: { type: 'plain_text', text: 'Revert this invoice', emoji: true },
+          action_id: 'revert_invoice_submission',
+          value: JSON.stringify({ revertId: record.id }),
+          confirm: {
+            title: { type: 'plain_text', text: 'Revert invoice?' },
+            text: { type: 'mrkdwn', text: 'Restores every metafield, tag and note line this invoice changed. Fields edited in Shopify since then are left alone and reported.' },
+            confirm: { type: 'plain_text', text: 'Revert' },
+            deny: { type: 'plain_text', text: 'Keep' }
+          }
+        }
+      ]
+    }
+  ];
+}
 
-    return {
-      partsSelected,
-      otherText: otherText || '',
-      setAsideText: setAsideText || '',
-      fulfillmentVal,
-      fulfillmentLabel,
-      paymentVal,
-      paymentLabel
-    };
+// A claim older than this is from a revert that never finished (restart); the next click takes over
+const REVERT_CLAIM_TTL_MS = 10 * 60 * 1000;
+
+// Restore one order to its before-state, skipping anything Shopify changed after our write
+async function revertInvoiceOrder(entry, audit = null) {
+  const ctx = await loadOrderContext(entry.id, { ...audit, order_digits: entry.digits });
+  const conflicts = [];
+
+  for (const mf of entry.metafields) {
+    const fullKey = `${mf.namespace}.${mf.key}`;
+    const current = ctx.getMetafield(fullKey);
+    const expected = (mf.after ?? '').toString().trim();
+    if (current !== expected) {
+      conflicts.push(`\`${fullKey}\` changed since the invoice (now "${previewValue(current) || 'empty'}")`);
+      continue;
+    }
+    if (mf.before == null) ctx.deleteMetafield(mf.namespace, mf.key);
+    else ctx.setMetafield(mf.namespace, mf.key, mf.before, mf.before_type || undefined);
   }
 
-  // Validate all orders first (Other/Set Aside text requirements)
-  const errors = {};
-  const state = view.state.values || {};
-  for (const o of orders) {
-    const p = parseOne(state, o.digits);
-    const set = new Set(p.partsSelected);
-    const needsOther    = set.has('other') && !p.otherText;
-    const needsSetAside = set.has('set_aside') && !p.setAsideText;
-    if (needsOther)    errors[`parts_other_text_${o.digits}`] = 'Please provide details for "Other".';
-    if (needsSetAside) errors[`parts_set_aside_text_${o.digits}`] = 'Please provide details for "Parts Set Aside".';
+  if (entry.tags) {
+    for (const t of entry.tags.added)   ctx.removeTag(t);
+    for (const t of entry.tags.removed) ctx.addTag(t);
   }
 
-  if (Object.keys(errors).length) {
-    await ack({ response_action: 'errors', errors });
-    return;
+  if (entry.note) {
+    const { before, after } = entry.note;
+    const current = ctx.note;
+    const prepended = after.endsWith(before) ? after.slice(0, after.length - before.length) : '';
+    if (current === after) {
+      ctx.setNote(before);
+    } else if (prepended && current.includes(prepended)) {
+      // Someone edited the note since; take out only the lines we added
+      ctx.setNote(current.replace(prepended, ''));
+    } else {
+      conflicts.push('order note changed since the invoice (invoice line left in place)');
+    }
   }
 
+  await ctx.commit();
+  return { digits: entry.digits, conflicts };
+}
+
+app.action('revert_invoice_submission', async ({ ack, body, client, logger, action }) => {
   await ack();
 
-// Save per order with limited concurrency and sequential metafield writes per order
-const yesNo = (on, yes, no) => (on ? yes : no);
+  let revertId = '';
+  try { revertId = JSON.parse(action.value || '{}').revertId; } catch (_) {}
+  const channel = body.channel?.id;
+  const thread_ts = body.message?.thread_ts || body.message?.ts;
+  const userId = body.user?.id;
 
-// Process ONE order at a time to avoid Shopify 429s
-const results = await runWithConcurrency(1, orders, async (o) => {
   try {
-    const mfOps = [];
-  const p = parseOne(state, o.digits);
-  const set = new Set(p.partsSelected);
-
-  const steeringWheelOn = set.has('steering_wheel');
-  const trimOn          = set.has('trim');
-  const paddlesOn       = set.has('paddles');
-  const magPaddlesOn    = set.has('magnetic_paddles');
-  const daModuleOn      = set.has('da_module');
-  const returnLabelOn   = set.has('return_label');
-  const otherSelected    = set.has('other');
-  const setAsideSelected = set.has('set_aside');
-
-// ===== Arrange / Incoming / Back-end Incoming Invoice (prep) =====
-const mfMap = await fetchOrderMetafields(o.id);
-const currentArrangedWith = (mfMap['custom._nc_arranged_with'] || '').trim();
-
-// Arrange status/tag action tracker
-let arrangeTagAction = 'leave'; // 'leave' | 'remove'
-
-// 2) Arrange logic
-if (currentArrangedWith) {
-  if (currentArrangedWith.includes('&')) {
-    // multiple suppliers (future-proof: any number of "&")
-    const parts = currentArrangedWith.split('&').map(s => s.trim()).filter(Boolean);
-    const supplierToRemove = (invoiceSupplier || '').trim();
-    const filtered = parts.filter(s => s !== supplierToRemove);
-    const newValue = filtered.join(' & ');
-
-    if (newValue && newValue !== currentArrangedWith) {
-      // Try update; if Shopify rejects (enum not allowed), throw a helpful error
-      mfOps.push((async () => {
-        try {
-          await upsertOrderMetafield(o.id, 'custom', '_nc_arranged_with', newValue);
-        } catch (err) {
-          throw new Error(
-            `Order C#${o.digits}: cannot set custom._nc_arranged_with="${newValue}". ` +
-            `Add this exact value to the allowed list in Shopify Admin, then retry.`
-          );
-        }
-      })());
+    const filePath = path.join(REVERTS_DIR, `${path.basename(revertId || '')}.json`);
+    // Claim the orders not restored yet under the record's lock so a double click can't run two
+    // reverts; orders that failed before are picked up again by the next click
+    const claim = await withKeyLock(`revert:${revertId}`, async () => {
+      const record = revertId ? await readJsonSafe(filePath) : null;
+      if (!record) return { error: 'Revert data for this invoice was not found.' };
+      if (record.reverted_at) {
+        return { error: `This invoice was already reverted by <@${record.reverted_by}> at ${record.reverted_at}.` };
+      }
+      const running = record.reverting && Date.now() - Date.parse(record.reverting.at) < REVERT_CLAIM_TTL_MS;
+      if (running) return { error: `<@${record.reverting.by}> is reverting this invoice right now.` };
+      record.reverting = { by: userId || null, at: new Date().toISOString() };
+      await writeJsonAtomic(filePath, record);
+      return { record, pending: record.orders.filter(o => o.status !== 'restored') };
+    });
+    if (claim.error) {
+      await client.chat.postEphemeral({ channel, user: userId, text: claim.error });
+      return;
     }
-    // Keep arrange_status as-is (should remain "Arranged") and DO NOT remove ArrangeStatus_Arranged tag.
-  } else {
-    // single supplier
-    mfOps.push(deleteOrderMetafield(o.id, 'custom', 'arrange_status'));
-    mfOps.push(deleteOrderMetafield(o.id, 'custom', '_nc_arranged_with'));
-    arrangeTagAction = 'remove'; // remove ArrangeStatus_Arranged later
+    const { pending } = claim;
+    let { record } = claim;
+
+    const results = await runWithConcurrency(BULK_ORDER_CONCURRENCY, pending, async (entry) => {
+      try {
+        return {
+          ok: true,
+          ...(await revertInvoiceOrder(entry, {
+            source: 'revert',
+            slack_user: userId,
+            channel,
+            thread_ts,
+            invoice_supplier: record.invoiceSupplier,
+            invoice_date: record.invoiceDate
+          }))
+        };
+      } catch (e) {
+        logger.error('revert failed for order', { order_digits: entry.digits, error: e });
+        return { ok: false, digits: entry.digits, error: e?.message || String(e) };
+      }
+    });
+
+    // Per-order outcome; the invoice counts as reverted once every order is restored
+    const revertedAt = new Date().toISOString();
+    record = await withKeyLock(`revert:${revertId}`, async () => {
+      const current = (await readJsonSafe(filePath)) || record;
+      for (const r of results) {
+        const entry = current.orders.find(o => o.digits === r.digits);
+        if (!entry) continue;
+        entry.status = r.ok ? 'restored' : 'failed';
+        entry.error = r.ok ? null : r.error;
+        entry.conflicts = r.ok ? r.conflicts : [];
+        entry.attempted_at = revertedAt;
+        entry.attempted_by = userId || null;
+      }
+      current.reverting = null;
+      if (current.orders.every(o => o.status === 'restored')) {
+        current.reverted_at = revertedAt;
+        current.reverted_by = userId || null;
+      }
+      await writeJsonAtomic(filePath, current);
+      return current;
+    });
+
+    await removeInvoiceApplications(record, results.filter(r => r.ok).map(r => r.digits));
+
+    // Reverted orders need this invoice applied again
+    await updateInvoiceRecord(record.invoiceId, (inv) => {
+      for (const r of results.filter(x => x.ok)) {
+        const entry = inv.orders?.[r.digits];
+        if (!entry) continue;
+        entry.status = 'pending';
+        entry.error = null;
+        entry.reverted_at = revertedAt;
+        entry.updated_at = new Date().toISOString();
+      }
+    }).catch(e => console.error('[invoices] revert status update failed:', e?.message || e));
+
+    const reverted = results.filter(r => r.ok).map(r => orderName(r.digits));
+    const failed = results.filter(r => !r.ok);
+    const conflictLines = results
+      .filter(r => r.ok && r.conflicts.length)
+      .flatMap(r => r.conflicts.map(c => `${orderName(r.digits)}: ${c}`));
+
+    const lines = [`↩️ Invoice reverted by <@${userId}>`];
+    if (reverted.length) lines.push(`✅ Restored: ${reverted.join(', ')}`);
+    if (failed.length) {
+      lines.push(`❌ Failed: ${failed.map(r => `${orderName(r.digits)} (${r.error})`).join(', ')}`);
+      lines.push('Click *Revert this invoice* again to retry the failed order(s).');
+    }
+    if (conflictLines.length) {
+      lines.push('*Conflicts (left as-is):*\n```' + conflictLines.join('\n') + '```');
+    }
+
+    await client.chat.postMessage({ channel, thread_ts, text: lines.join('\n') });
+  } catch (e) {
+    logger.error('revert_invoice_submission error:', e);
+  }
+});
+
+/* =========================
+   Bulk: Preview (dry run)
+========================= */
+// Pending previews waiting for Confirm/Cancel: previewId -> { createdAt, submission }
+const __pendingPreviews = new Map();
+const __PREVIEW_TTL_MS = 60 * 60 * 1000;
+
+function storePendingPreview(submission) {
+  const now = Date.now();
+  for (const [id, entry] of __pendingPreviews) {
+    if (now - entry.createdAt > __PREVIEW_TTL_MS) __pendingPreviews.delete(id);
   }
+  const id = `pv_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  __pendingPreviews.set(id, { createdAt: now, submission });
+  return id;
 }
 
-// 3) Set custom._nc_incoming_ => "INCOMING" (always), and also update any other *_nc_incoming_* variants if present
-mfOps.push(upsertOrderMetafield(o.id, 'custom', '_nc_incoming_', 'INCOMING'));
+function takePendingPreview(id) {
+  const entry = __pendingPreviews.get(id);
+  __pendingPreviews.delete(id);
+  if (!entry || Date.now() - entry.createdAt > __PREVIEW_TTL_MS) return null;
+  return entry.submission;
+}
 
-const incomingKeys = Object.keys(mfMap)
-  .filter(k => k.startsWith('custom.') && k.includes('_nc_incoming_'))
-  .map(k => k.split('.')[1]) // keep only the key part
-  .filter(k => k !== '_nc_incoming_'); // we've already set the canonical key above
-for (const k of incomingKeys) {
-  mfOps.push(upsertOrderMetafield(o.id, 'custom', k, 'INCOMING'));
+// Keep preview values readable inside a Slack section
+function previewValue(v) {
+  const oneLine = String(v ?? '').replace(/\s*\n\s*/g, ' ⏎ ');
+  return oneLine.length > 80 ? `${oneLine.slice(0, 77)}…` : oneLine;
 }
 
-// 4) Append to custom._back_end_incoming_invoice
-const currentBackEnd = (mfMap['custom._back_end_incoming_invoice'] || '').trim();
-const appendLabel = `${(invoiceSupplier || '').trim()} ${(invoiceDate || '').trim()} Invoice`.trim();
-const newBackEnd = currentBackEnd ? `${currentBackEnd}; ${appendLabel}` : appendLabel;
-mfOps.push(upsertOrderMetafield(o.id, 'custom', '_back_end_incoming_invoice', newBackEnd));
+// Human-readable lines for one order's diff (see loadOrderContext().diff())
+function describeOrderDiff(diff) {
+  const lines = [];
+  for (const mf of diff.metafields.set) {
+    const key = `${mf.namespace}.${mf.key}`;
+    lines.push(mf.old == null
+      ? `➕ \`${key}\`: "${previewValue(mf.value)}"`
+      : `✏️ \`${key}\`: "${previewValue(mf.old)}" → "${previewValue(mf.value)}"`);
+  }
+  for (const mf of diff.metafields.remove) {
+    lines.push(`🗑️ \`${mf.namespace}.${mf.key}\` (was "${previewValue(mf.old)}")`);
+  }
+  if (diff.tags) {
+    if (diff.tags.added.length)   lines.push(`🏷️ Tags added: ${diff.tags.added.join(', ')}`);
+    if (diff.tags.removed.length) lines.push(`🏷️ Tags removed: ${diff.tags.removed.join(', ')}`);
+  }
+  if (diff.note) {
+    // We only ever prepend; show just the new lines
+    const { before, after } = diff.note;
+    const added = before && after.endsWith(before) ? after.slice(0, after.length - before.length) : after;
+    const firstLine = added.split('\n').map(s => s.trim()).find(Boolean) || '';
+    lines.push(`📝 Note: prepend "${previewValue(firstLine)}"`);
+  }
+  return lines.length ? lines : ['No changes — already up to date.'];
+}
 
-  // 5) parts_suppliers from tags starting with PartsSupplier_
-  const tags = await fetchOrderTags(o.id);
-  const suppliers = tags
-    .filter(t => t.startsWith('PartsSupplier_'))
-    .map(t => t.substring('PartsSupplier_'.length))
-    .filter(Boolean);
-  const suppliersCsv = suppliers.join(', ');
+// Stage everything on fresh order contexts and describe the diff without writing
+async function computeInvoicePreview({ orders, selections, invoiceSupplier, invoiceDate, invoiceDateIso = null, logger }) {
+  const invoice = { invoiceSupplier, invoiceDate, invoiceDateIso };
+  return runWithConcurrency(BULK_ORDER_CONCURRENCY, orders, async (o) => {
+    try {
+      const ctx = await loadOrderContext(o.id);
+      const appliedInLedger = await isInvoiceApplied(invoice, o.digits);
+      const { rules: whoContactsRules } = await loadWhoContactsRules();
+      const supplierProfiles = await loadSupplierProfiles();
+      const { alreadyApplied } = stageInvoiceOrderChanges(ctx, o, selections[o.digits], invoice, { appliedInLedger, whoContactsRules, supplierProfiles });
+      const lines = describeOrderDiff(ctx.diff());
+      if (alreadyApplied) lines.unshift('ℹ️ Already on this invoice — invoice label and note line will not be added again.');
+      return { order: o, lines };
+    } catch (e) {
+      logger?.error?.('preview failed for order', { order_digits: o.digits, error: e });
+      return { order: o, error: e?.message || String(e) };
+    }
+  });
+}
 
-  // 6) packing_slip_notes (multi-line text)
-  const partsListForLine3 = [];
-  if (steeringWheelOn) partsListForLine3.push('Steering Wheel');
-  if (trimOn)          partsListForLine3.push('Trim');
-  if (paddlesOn)       partsListForLine3.push('Paddles');
-  if (magPaddlesOn)    partsListForLine3.push('Magnetic Paddles');
-  if (daModuleOn)      partsListForLine3.push('DA Module');
-  if (returnLabelOn)   partsListForLine3.push('Return Label');
-  if (otherSelected && p.otherText) partsListForLine3.push(p.otherText);
-
-  let line3 = partsListForLine3.join(', ');
-  if (partsListForLine3.length === 1) line3 = `${partsListForLine3[0]} only`;
-
-  const line1 = `${p.fulfillmentLabel.toUpperCase()} — ${p.paymentLabel.toUpperCase()}`;
-const line2 = '';
-const line4 = setAsideSelected && p.setAsideText ? `Should Be Set Aside Already: ${p.setAsideText}` : '';
-const packingLines = [line1, line2, line3];
-if (line4) {
-  packingLines.push('');        // extra blank line before the set-aside note
-  packingLines.push(line4);     // the set-aside note line
-}
-const packingSlipNotes = packingLines.join('\n');
-
-    // Compute who_contacts by priority rules
-    // 1) custom.platform === "Direct KZ" -> "Kirill"
-    // 2) has order tag "MarketingSponsorship" -> "Irish"
-    // 3) custom.kl_status in {"KL-UP","KL-P"} -> "Kenny"
-    // 4) default -> "Nick"
-    let __whoContacts_bulk = 'Nick';
-    if ((mfMap['custom.platform'] || '').trim() === 'Direct KZ') {
-      __whoContacts_bulk = 'Kirill';
-    } else if (tags.includes('MarketingSponsorship')) {
-      __whoContacts_bulk = 'Irish';
+function buildPreviewView(previewId, invoiceHeader, previews) {
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: invoiceHeader } },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: 'Nothing has been written yet. *Confirm* applies these changes; *Cancel* discards them.' }]
+    }
+  ];
+  // Orders are packed into sections (text limit 3000) so any invoice stays under Slack's 100 blocks:
+  // a divider + section per group, 1 block kept for the "not shown" note
+  const maxSections = Math.floor((100 - blocks.length - 1) / 2);
+  const sections = [];
+  let shown = 0;
+  for (const pv of previews) {
+    const o = pv.order;
+    const body = pv.error ? [`⚠️ Could not compute preview: ${pv.error}`] : pv.lines;
+    let text = `*Order ${orderName(o.digits)} • ${o.customerName || 'Unknown'}*\n${body.join('\n')}`;
+    if (text.length > 2900) text = `${text.slice(0, 2899)}…`;
+    const last = sections[sections.length - 1];
+    if (last && last.length + 2 + text.length <= 2900) {
+      sections[sections.length - 1] = `${last}\n\n${text}`;
+    } else if (sections.length < maxSections) {
+      sections.push(text);
     } else {
-      const __klb = (mfMap['custom.kl_status'] || '').trim();
-      if (__klb === 'KL-UP' || __klb === 'KL-P') {
-        __whoContacts_bulk = 'Kenny';
-      }
+      break;
     }
+    shown += 1;
+  }
+  for (const text of sections) {
+    blocks.push({ type: 'divider' });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
+  }
+  if (shown < previews.length) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `…and ${previews.length - shown} more order(s) not shown here. *Confirm* applies them too.` }]
+    });
+  }
 
-    mfOps.push(
-    upsertOrderMetafield(o.id, 'custom', 'parts_steering_wheel',   yesNo(steeringWheelOn, 'Steering Wheel', 'No Steering Wheel')),
-    upsertOrderMetafield(o.id, 'custom', 'parts_trim',             yesNo(trimOn,          'Trim',            'No Trim')),
-    upsertOrderMetafield(o.id, 'custom', 'parts_paddles',          yesNo(paddlesOn,       'Paddles',         'No Paddles')),
-    upsertOrderMetafield(o.id, 'custom', 'parts_magnetic_paddles', yesNo(magPaddlesOn,    'Magnetic Paddles','No Magnetic Paddles')),
-    upsertOrderMetafield(o.id, 'custom', 'parts_da_module',        yesNo(daModuleOn,      'DA Module',       'No DA Module')),
-    upsertOrderMetafield(o.id, 'custom', 'parts_return_label',     yesNo(returnLabelOn,   'Return Label',    'No Return Label')),
-    upsertOrderMetafield(o.id, 'custom', 'ship_install_pickup',    p.fulfillmentLabel),
-    upsertOrderMetafield(o.id, 'custom', 'pif_or_not',             p.paymentLabel),
-    upsertOrderMetafield(o.id, 'custom', 'who_contacts',           __whoContacts_bulk),
-    upsertOrderMetafield(o.id, 'custom', 'packing_slip_notes',     packingSlipNotes, 'multi_line_text_field'),
-    upsertOrderMetafield(o.id, 'custom', 'initial_slack_tagging_done', 'Yes')
-  );
+  return {
+    type: 'modal',
+    callback_id: 'update_meta_preview_confirm',
+    notify_on_close: true,
+    private_metadata: JSON.stringify({ previewId }),
+    title: { type: 'plain_text', text: 'Preview Changes' },
+    submit: { type: 'plain_text', text: 'Confirm' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks
+  };
+}
 
-  if (otherSelected && (p.otherText || '').trim() !== '') {
-    mfOps.push(upsertOrderMetafield(o.id, 'custom', 'parts_other', (p.otherText || '').trim()));
-  } else {
-    mfOps.push(deleteOrderMetafield(o.id, 'custom', 'parts_other'));
+/* =========================
+   Bulk: Modal Submission
+========================= */
+app.view('update_meta_modal_submit_bulk', async ({ ack, body, view, client, logger }) => {
+  const { draftId, page = 0 } = JSON.parse(view.private_metadata || '{}');
+  const draft = __bulkDrafts.get(draftId);
+  if (!draft) {
+    await ack({
+      response_action: 'update',
+      view: {
+        type: 'modal',
+        title: { type: 'plain_text', text: 'Review Expired' },
+        close: { type: 'plain_text', text: 'Close' },
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text: 'This invoice review is no longer available (expired or the bot restarted). Nothing was written — please click *Review invoice* again.' } }
+        ]
+      }
+    });
+    return;
   }
 
-  if (setAsideSelected && (p.setAsideText || '').trim() !== '') {
-    mfOps.push(upsertOrderMetafield(o.id, 'custom', 'parts_set_aside_already', (p.setAsideText || '').trim()));
-  } else {
-    mfOps.push(deleteOrderMetafield(o.id, 'custom', 'parts_set_aside_already'));
+  // Validate this page's orders (text parts need their details)
+  const state = view.state.values || {};
+  const errors = {};
+  for (const o of bulkDraftPageOrders(draft, page)) {
+    Object.assign(errors, validatePartsSelections(parseBulkOrderSelections(state, o.digits), `_${o.digits}`));
   }
-
-  if (suppliersCsv) {
-    mfOps.push(upsertOrderMetafield(o.id, 'custom', 'parts_suppliers', suppliersCsv));
-  } else {
-    mfOps.push(deleteOrderMetafield(o.id, 'custom', 'parts_suppliers'));
+  if (Object.keys(errors).length) {
+    await ack({ response_action: 'errors', errors });
+    return;
   }
+  saveBulkPageSelections(draft, page, state);
 
-  // SEQUENTIAL writes per order to avoid burst 429s
-  for (const op of mfOps) {
-    await op;
+  // Next page
+  if (page < bulkDraftPageCount(draft) - 1) {
+    await ack({ response_action: 'update', view: buildBulkPageView(draft, page + 1) });
+    return;
   }
 
-// (2c) Remove the ArrangeStatus_Arranged tag ONLY if we cleared _nc_arranged_with (single-supplier case)
-if (arrangeTagAction === 'remove') {
-  const currentTags = await fetchOrderTags(o.id);
-  const newTags = currentTags.filter(t => t !== 'ArrangeStatus_Arranged');
-  if (newTags.length !== currentTags.length) {
-    await updateOrderTags(o.id, newTags);
-  }
-}
+  // Last page: one submission for every order on the invoice
+  __bulkDrafts.delete(draft.id);
+  const { channel, thread_ts, invoiceSupplier, invoiceDate, invoiceDateIso, invoiceId, orders, selections, wantsPreview } = draft;
+  const submission = { channel, thread_ts, invoiceSupplier, invoiceDate, invoiceDateIso, invoiceId, orders, selections, userId: body.user?.id };
 
-// (2d) Ensure tag "Incoming_Yes" is present
-{
-  const currentTags2 = await fetchOrderTags(o.id);
-  if (!currentTags2.includes('Incoming_Yes')) {
-    const added = currentTags2.concat(['Incoming_Yes']);
-    await updateOrderTags(o.id, added);
+  if (!wantsPreview) {
+    await ack();
+    try {
+      await runBulkInvoiceSubmission({ client, logger, ...submission });
+    } catch (e) {
+      logger.error('bulk submission error:', e);
+    }
+    return;
   }
-}
-
-// (5) Prepend the invoice update line to the order note
-const existingNote = await fetchOrderNote(o.id);
-const now = new Date();
-const mm = String(now.getMonth() + 1).padStart(2, '0');
-const dd = String(now.getDate()).padStart(2, '0');
-const yyyy = String(now.getFullYear());
-const headerLine = `Update ${mm}/${dd}/${yyyy}: Invoiced with ${(invoiceSupplier || '').trim()} ${(invoiceDate || '').trim()} Invoice`;
-const dashLine = '————————————'; // em-dash line
-const newNote = `${headerLine}\n${dashLine}\n${existingNote || ''}`;
-await updateOrderNote(o.id, newNote);
 
-  // Persist a tiny snapshot file per order
-  await ensureDirs();
-  const filePath = path.join(ORDERS_DIR, `${o.digits}.json`);
-  await writeJsonAtomic(filePath, {
-    saved_at: new Date().toISOString(),
-    order_id: o.id,
-    order_digits: o.digits,
-    parts: {
-      selections: Array.from(set),
-      other_text: p.otherText || null,
-      set_aside_text: p.setAsideText || null
-    },
-    fulfillment: p.fulfillmentVal,
-    payment: p.paymentVal
+  // Preview: swap the modal for a placeholder (must ack within 3s), then fill in the diff
+  const previewId = storePendingPreview(submission);
+  await ack({
+    response_action: 'update',
+    view: {
+      type: 'modal',
+      callback_id: 'dummy_loading_modal',
+      title: { type: 'plain_text', text: 'Preview Changes' },
+      close: { type: 'plain_text', text: 'Cancel' },
+      blocks: [
+        { type: 'section', text: { type: 'mrkdwn', text: 'Computing changes for each order… Nothing is written yet.' } }
+      ]
+    }
   });
 
-  return { ok: true, id: o.digits };
-} catch (e) {
-  logger?.error?.('bulk worker failed for order', { order_digits: o.digits, order_id: o.id, error: e });
-  console.error('bulk worker failed for order', o, e);
-  return { ok: false, id: o.digits, error: (e && e.message) ? e.message : String(e) };
-}
-});
-
-// Collate successes/failures with reasons
-const ok = [];
-const fail = [];
-const failDetails = [];
-
-results.forEach((r, idx) => {
-  if (r && r.ok) {
-    ok.push(`C#${r.id}`);
-  } else {
-    const digits = orders[idx].digits;
-    fail.push(`C#${digits}`);
-    const reason = (r && r.error) ? r.error
-                  : (r && r.message) ? r.message
-                  : 'Unknown error';
-    const line = `C#${digits}: ${reason}`;
-    failDetails.push(line);
-
-    // Log to PM2/stdout with structured context
-    console.error('invoice bulk failed', {
-      order_digits: digits,
-      order_id: orders[idx].id,
-      reason
-    });
-    logger?.error?.('invoice bulk failed', {
-      order_digits: digits,
-      order_id: orders[idx].id,
-      reason
+  try {
+    const previews = await computeInvoicePreview({ ...submission, logger });
+    const invoiceHeader = (invoiceSupplier || invoiceDate)
+      ? `${[invoiceSupplier, invoiceDate].filter(Boolean).join(' ')} Invoice`
+      : 'Invoice Review';
+    await client.views.update({
+      view_id: body.view.id,
+      view: buildPreviewView(previewId, invoiceHeader, previews)
     });
+  } catch (e) {
+    logger.error('bulk preview error:', e);
+    takePendingPreview(previewId);
+    try {
+      await client.views.update({
+        view_id: body.view.id,
+        view: {
+          type: 'modal',
+          title: { type: 'plain_text', text: 'Preview Failed' },
+          close: { type: 'plain_text', text: 'Close' },
+          blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text: `Couldn't show the preview: ${e?.message || e}\nNothing was written — please click *Review invoice* again.` } }
+          ]
+        }
+      });
+    } catch (e2) {
+      logger.error('bulk preview error view failed:', e2);
+    }
   }
 });
 
-// Confirm in thread (summary)
-if (channel && thread_ts) {
-  const lines = [];
-  if (ok.length)   lines.push(`✅ Updated: ${ok.join(', ')}`);
-  if (fail.length) lines.push(`❌ Failed: ${fail.join(', ')}`);
-  await client.chat.postMessage({
-    channel,
-    thread_ts,
-    text: lines.join('\n') || 'Done.'
-  });
+// Confirm on the preview modal -> run the real submission with the stored selections
+app.view('update_meta_preview_confirm', async ({ ack, view, client, logger }) => {
+  let previewId = '';
+  try { previewId = JSON.parse(view.private_metadata || '{}').previewId; } catch (_) {}
+  const submission = takePendingPreview(previewId);
 
-  // Post detailed reasons as a follow-up (code block), if any
-  if (failDetails.length) {
-    await client.chat.postMessage({
-      channel,
-      thread_ts,
-      text: '*Failure details:*\n```' + failDetails.join('\n') + '```'
+  if (!submission) {
+    await ack({
+      response_action: 'update',
+      view: {
+        type: 'modal',
+        title: { type: 'plain_text', text: 'Preview Expired' },
+        close: { type: 'plain_text', text: 'Close' },
+        blocks: [
+          { type: 'section', text: { type: 'mrkdwn', text: 'This preview is no longer available (expired or the bot restarted). Nothing was written — please open the invoice again.' } }
+        ]
+      }
     });
+    return;
   }
-}
+
+  await ack();
+  try {
+    await runBulkInvoiceSubmission({ client, logger, ...submission });
+  } catch (e) {
+    logger.error('bulk submission (confirmed preview) error:', e);
+  }
+});
+
+// Cancel on the preview modal -> drop the stored selections
+app.view({ callback_id: 'update_meta_preview_confirm', type: 'view_closed' }, async ({ ack, view }) => {
+  await ack();
+  try {
+    const { previewId } = JSON.parse(view.private_metadata || '{}');
+    if (previewId) __pendingPreviews.delete(previewId);
+  } catch (_) {}
 });
 
 /* =========================
@@ -1456,7 +5260,14 @@ server.get('/diag', async (_req, res) => {
     uptime_s: Math.round(process.uptime()),
     data_dir_exists: fs.existsSync(DATA_DIR),
     orders_dir_exists: fs.existsSync(ORDERS_DIR),
-    watch_channel_id_present: Boolean(WATCH_CHANNEL_ID)
+    jobs_dir_exists: fs.existsSync(JOBS_DIR),
+    invoices_dir_exists: fs.existsSync(INVOICES_DIR),
+    watch_channel_id_present: Boolean(WATCH_CHANNEL_ID),
+    invoice_channel_id_present: Boolean(INVOICE_CHANNEL_ID),
+    bulk_order_concurrency: BULK_ORDER_CONCURRENCY,
+    who_contacts_rules: __whoContactsCache.rules ? __whoContactsCache.rules.rules.length : null,
+    who_contacts_error: __whoContactsCache.error,
+    shopify_limiter: shopifyLimiterStats()
   });
 });
 
@@ -1471,9 +5282,32 @@ server.listen(PORT, () => {
   await ensureDirs();
   await ensureSuppliersFile(); // <-- ensure data/suppliers.json exists
 
+  // who_contacts rules: seed data/who_contacts.json, refuse to start when it is invalid
+  try {
+    await ensureWhoContactsFile();
+    const { rules } = await loadWhoContactsRules();
+    console.log(`[who_contacts] ${rules.rules.length} rule(s), default ${rules.default}`);
+  } catch (e) {
+    console.error('❌ who_contacts rules error:', e?.message || e);
+    process.exit(1);
+  }
+
+  // Parts drive the modals and metafields; refuse to start with a broken catalog
+  try {
+    const parts = await loadPartsCatalog();
+    console.log(`[parts] loaded ${parts.length} parts from ${PARTS_FILE}`);
+  } catch (e) {
+    console.error('❌ Parts catalog error:', e?.message || e);
+    process.exit(1);
+  }
+
   await app.start();
   console.log('[slack] app started (Socket Mode)');
 
+  // Finish bulk submissions a deploy/restart interrupted (runs in the background)
+  resumeUnfinishedJobs({ client: app.client, logger: app.logger })
+    .catch(e => console.error('⚠️ Resuming unfinished jobs failed:', e?.message || e));
+
   // Non-fatal post-start check: lightweight Shopify ping
   try {
     await shopifyFetch('/shop.json');